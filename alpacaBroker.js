@@ -0,0 +1,191 @@
+// alpacaBroker.js
+
+const Bottleneck = require('bottleneck'); // Rate limiting library
+const Broker = require('./broker');
+const TradeUpdatesClient = require('./tradeUpdates');
+const { alpaca } = require('./alpaca');
+
+// Request fields that Alpaca names differently
+const ORDER_FIELD_NAMES = {
+  timeInForce: 'time_in_force',
+  limitPrice: 'limit_price',
+  stopPrice: 'stop_price',
+  extendedHours: 'extended_hours',
+  clientOrderId: 'client_order_id',
+};
+
+/**
+ * Parses one of Alpaca's string-encoded numbers, keeping missing values null.
+ */
+function toNumber(value) {
+  return value === null || value === undefined || value === ''
+    ? null
+    : parseFloat(value);
+}
+
+function toPosition(position) {
+  return {
+    symbol: position.symbol,
+    side: position.side,
+    qty: Math.abs(toNumber(position.qty)),
+    avgEntryPrice: toNumber(position.avg_entry_price),
+    currentPrice: toNumber(position.current_price),
+    marketValue: toNumber(position.market_value),
+    unrealizedPl: toNumber(position.unrealized_pl),
+  };
+}
+
+function toOrder(order) {
+  return {
+    id: order.id,
+    clientOrderId: order.client_order_id,
+    symbol: order.symbol,
+    side: order.side,
+    type: order.type || order.order_type,
+    timeInForce: order.time_in_force,
+    qty: toNumber(order.qty),
+    filledQty: toNumber(order.filled_qty) || 0,
+    filledAvgPrice: toNumber(order.filled_avg_price),
+    limitPrice: toNumber(order.limit_price),
+    stopPrice: toNumber(order.stop_price),
+    trailPrice: toNumber(order.trail_price),
+    status: order.status,
+    extendedHours: Boolean(order.extended_hours),
+    createdAt: order.created_at ? Date.parse(order.created_at) : null,
+  };
+}
+
+/**
+ * Converts an order request (or replace changes) to Alpaca's parameters.
+ */
+function toOrderParams(order) {
+  const params = {};
+  Object.keys(order).forEach((field) => {
+    let value = order[field];
+    if (value === undefined || value === null) {
+      return;
+    }
+    if (field === 'qty') {
+      value = String(value);
+    } else if (field === 'limitPrice' || field === 'stopPrice') {
+      value = value.toFixed(2);
+    }
+    params[ORDER_FIELD_NAMES[field] || field] = value;
+  });
+  return params;
+}
+
+/**
+ * Broker adapter for Alpaca: REST calls through the SDK, order updates from
+ * the trade updates stream.
+ */
+class AlpacaBroker extends Broker {
+  constructor(client = alpaca, tradeUpdates = new TradeUpdatesClient()) {
+    super();
+    this.client = client;
+    this.tradeUpdates = tradeUpdates;
+
+    // One limiter for every caller keeps the account under Alpaca's rate limit
+    this.limiter = new Bottleneck({
+      minTime: 350, // Minimum time between requests in ms (approx 2.85 req/sec)
+      maxConcurrent: 1, // Ensure requests are executed sequentially
+    });
+  }
+
+  get isStreaming() {
+    return this.tradeUpdates.isAuthorized;
+  }
+
+  connect() {
+    this.tradeUpdates.onTradeUpdate = (event, order) => {
+      if (this.onOrderUpdate) {
+        this.onOrderUpdate(event, toOrder(order));
+      }
+    };
+    this.tradeUpdates.onReconnect = async (disconnectedAt) => {
+      if (this.onReconnect) {
+        await this.onReconnect(disconnectedAt);
+      }
+    };
+    this.tradeUpdates.connect();
+  }
+
+  /**
+   * Runs an SDK call through the rate limiter. Errors are rethrown with the
+   * HTTP status as statusCode and Alpaca's response body as the message.
+   */
+  async call(method, ...args) {
+    try {
+      return await this.limiter.schedule(() => this.client[method](...args));
+    } catch (err) {
+      const response = err.response;
+      const error = new Error(
+        response && response.data ? JSON.stringify(response.data) : err.message
+      );
+      error.statusCode = err.statusCode || (response && response.status);
+      throw error;
+    }
+  }
+
+  async getAccount() {
+    const account = await this.call('getAccount');
+    return {
+      equity: toNumber(account.equity),
+      lastEquity: toNumber(account.last_equity),
+      cash: toNumber(account.cash),
+      buyingPower: toNumber(account.buying_power),
+    };
+  }
+
+  async getPositions() {
+    const positions = await this.call('getPositions');
+    return positions.map(toPosition);
+  }
+
+  async getOrders({
+    status = 'open',
+    symbols = null,
+    after = null,
+    direction = 'desc',
+    limit = 50,
+  } = {}) {
+    const params = { status, direction, limit };
+    if (symbols) {
+      params.symbols = symbols.join(',');
+    }
+    if (after) {
+      params.after = new Date(after).toISOString();
+    }
+    const orders = await this.call('getOrders', params);
+    return orders.map(toOrder);
+  }
+
+  async getOrder(orderId) {
+    return toOrder(await this.call('getOrder', orderId));
+  }
+
+  async submitOrder(order) {
+    return toOrder(await this.call('createOrder', toOrderParams(order)));
+  }
+
+  async replaceOrder(orderId, changes) {
+    return toOrder(
+      await this.call('replaceOrder', orderId, toOrderParams(changes))
+    );
+  }
+
+  async cancelOrder(orderId) {
+    await this.call('cancelOrder', orderId);
+  }
+
+  async getCalendar(start, end) {
+    const days = await this.call('getCalendar', { start, end });
+    return days.map((day) => ({
+      date: day.date,
+      open: day.open,
+      close: day.close,
+    }));
+  }
+}
+
+module.exports = AlpacaBroker;
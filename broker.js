@@ -0,0 +1,91 @@
+// broker.js
+
+/**
+ * Broker adapter contract. OrderManager, the scheduler and index.js talk to a
+ * broker only through these methods and the shapes below, so broker-specific
+ * field names and string-encoded numbers stay inside each adapter.
+ *
+ * Position: { symbol, side: 'long'|'short', qty, avgEntryPrice, currentPrice,
+ *   marketValue, unrealizedPl }. qty is always positive; marketValue is
+ *   negative for shorts.
+ * Order: { id, clientOrderId, symbol, side: 'buy'|'sell', type, timeInForce,
+ *   qty, filledQty, filledAvgPrice, limitPrice, stopPrice, trailPrice, status,
+ *   extendedHours, createdAt }. Prices are null when not set or not filled yet;
+ *   createdAt is in ms. Statuses use Alpaca's names ('new', 'partially_filled',
+ *   'filled', 'canceled', 'replaced', ...).
+ * Order request: { symbol, qty, side, type, timeInForce, limitPrice, stopPrice,
+ *   extendedHours, clientOrderId }, with whole-cent prices. Replace requests
+ *   carry just the fields that change.
+ * Account: { equity, lastEquity, cash, buyingPower } in dollars.
+ *
+ * Errors carry the statusCode the broker answered with, e.g. 404 for an
+ * unknown order, 422 for a rejected request and 429 when rate limited.
+ */
+class Broker {
+  constructor() {
+    this.onOrderUpdate = null; // (event, order) => {}, set by the consumer
+    this.onReconnect = null; // (disconnectedAt) => {}, after order updates resume
+  }
+
+  /**
+   * Whether order updates are currently arriving in real time. While false,
+   * consumers should poll orders to catch fills and cancels.
+   */
+  get isStreaming() {
+    return false;
+  }
+
+  /**
+   * Starts delivering order updates.
+   */
+  connect() {}
+
+  notImplemented(method) {
+    return new Error(`${this.constructor.name} does not implement ${method}()`);
+  }
+
+  async getAccount() {
+    throw this.notImplemented('getAccount');
+  }
+
+  async getPositions() {
+    throw this.notImplemented('getPositions');
+  }
+
+  /**
+   * @param {Object} query - { status: 'open'|'closed'|'all', symbols (array),
+   *   after (ms), direction: 'asc'|'desc', limit }.
+   */
+  async getOrders(query) {
+    throw this.notImplemented('getOrders');
+  }
+
+  async getOrder(orderId) {
+    throw this.notImplemented('getOrder');
+  }
+
+  async submitOrder(order) {
+    throw this.notImplemented('submitOrder');
+  }
+
+  /**
+   * Replaces a working order. Returns the new order, which has a new ID.
+   */
+  async replaceOrder(orderId, changes) {
+    throw this.notImplemented('replaceOrder');
+  }
+
+  async cancelOrder(orderId) {
+    throw this.notImplemented('cancelOrder');
+  }
+
+  /**
+   * Returns the trading days between two 'YYYY-MM-DD' dates, inclusive, as
+   * [{ date, open, close }].
+   */
+  async getCalendar(start, end) {
+    throw this.notImplemented('getCalendar');
+  }
+}
+
+module.exports = Broker;
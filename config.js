@@ -12,11 +12,70 @@ module.exports = {
       : process.env.ALPACA_LIVE_SECRET_KEY,
     paper: paperTrading, // true for paper trading, false for live trading
   },
+  // 'alpaca', or 'simulated' to fill orders locally against Polygon quotes
+  // with no broker connection (see simulatedBroker below)
+  broker: 'alpaca',
+  simulatedBroker: {
+    startingCash: 100000,
+    startingPositions: [], // e.g. [{ symbol: 'AAPL', qty: 100, avgEntryPrice: 190 }], negative qty for shorts
+    orderLatencyMs: 100, // Time from submit until an order can fill
+    updateLatencyMs: 50, // Time from a fill or cancel until its order update arrives (at least 1)
+    slippageCents: 0, // Fill this much worse than the bid/ask, never past a limit price
+    maxFillQty: null, // Most shares filled per quote; smaller values give partial fills
+  },
   polygon: {
     apiKey: process.env.POLYGON_API_KEY,
   },
+  polygonStream: {
+    // Channels per symbol: Q (quotes), T (trades), AM (minute bars), A (second bars).
+    // Trades keep last price, volume and watchlist HODs exact. Positions whose
+    // stopTrigger needs bars get that channel added automatically.
+    defaultChannels: ['Q'],
+    symbolChannels: {}, // Per-symbol overrides, e.g. { TSLA: ['Q', 'T', 'A'] }
+    staleQuoteMs: 5000, // No quote for this long marks a symbol stale; stops ignore quotes older than this
+    staleCheckMs: 1000, // How often to look for stale symbols (market hours only)
+    restPollingOnStale: false, // Poll REST snapshots for stale symbols until quotes resume
+    restPollIntervalMs: 2000, // Snapshot poll rate for each stale symbol
+    heartbeatIntervalMs: 15000, // Ping the socket this often; a missed pong means it's dead
+    reconnectInitialMs: 1000, // First reconnect delay after a network loss
+    reconnectMaxMs: 30000, // Backoff cap between reconnect attempts
+    authRetryMs: 60000, // Wait after an auth failure before trying again
+  },
+  quoteFilters: {
+    // Quotes failing these checks are ignored, and any stop or target they
+    // would have fired is logged
+    ignoreZeroQuotes: true, // Zero or missing bid or ask
+    ignoreCrossedQuotes: true, // Bid above the ask (locked markets pass)
+    maxSpreadCents: null, // e.g. 20 to ignore quotes wider than 20¢
+    maxSpreadPercent: null, // e.g. 2 to ignore quotes wider than 2% of the midpoint
+    // A quote stop fires once both hold; a quote back inside the stop resets them
+    stopConfirmQuotes: 1, // Consecutive quotes through the stop
+    stopConfirmMs: 0, // Time since the first quote through the stop
+  },
+  recorder: {
+    enabled: false, // Write every Polygon event to daily NDJSON files for replay
+    directory: 'recordings',
+    gzip: false, // Compress files (.ndjson.gz)
+    symbols: [], // Only record these symbols; empty records all. Status events are always kept
+    maxFileBytes: 100 * 1024 * 1024, // Start a new file past this size (uncompressed)
+  },
+  polygonRest: {
+    // How long reference data is reused before asking Polygon again
+    cacheTtlMs: {
+      snapshot: 1000,
+      previousClose: 3600000,
+      sessionBars: 30000, // Today's minute bars behind HOD, ranges and VWAP
+      atr: 60000,
+    },
+    maxRetries: 4, // Retries on HTTP 429 before giving up
+    retryInitialMs: 1000, // First 429 backoff, doubled each retry (Retry-After wins when sent)
+  },
   orderSettings: {
     limitOffsetCents: 30, // Adjusted limit offset for limit orders
+    // Targets and stops may use targetCents/stopCents, targetPercent/stopPercent
+    // (percent of entry) or targetAtr/stopAtr (multiples of ATR). ATR levels fall
+    // back to the percent or cent value on the same level when ATR is unavailable;
+    // stops must have that fallback, plus a level at profitTargetsHit 0.
     profitTargets: [
       { targetCents: 5, percentToClose: 3 }, // 2
       { targetCents: 10, percentToClose: 3 }, // 4
@@ -29,10 +88,148 @@ module.exports = {
       { profitTargetsHit: 3, stopCents: 5 },
     ],
     pyramidLevels: [{ addInCents: 25, percentToAdd: 1, offsetCents: 4 }],
+    // What fires the stop: 'quote' (first bid/ask through it), 'second' or
+    // 'minute' (a second or minute bar closing through it)
+    stopTrigger: 'quote',
+    atr: {
+      timespan: 'minute', // Polygon aggregate bars used for ATR: 'minute' or 'day'
+      period: 14, // Number of bars averaged
+    },
+    trailingStop: {
+      enabled: false,
+      activateAfterTargets: 2, // Trail once this many profit targets are hit
+      trailCents: 10, // Trail distance behind the high-water mark
+      trailPercent: null, // Trail distance as % of the high-water mark (overrides trailCents)
+    },
+    // Time rules, measured from when the position was first seen. null disables a rule.
+    timeExits: {
+      firstTargetWithinMinutes: null, // Close if the first profit target isn't hit in time
+      tightenAfterMinutes: null, // Tighten the stop to tightenStopCents after this long
+      tightenStopCents: 0, // Stop floor from avg price once tightenAfterMinutes passes
+      maxHoldMinutes: null, // Close after this long regardless of price
+    },
+  },
+  // Named exit profiles. Each overrides any orderSettings fields it defines
+  // (limitOffsetCents, profitTargets, dynamicStops, pyramidLevels, ...).
+  exitProfiles: {
+    lowPrice: {
+      limitOffsetCents: 10,
+      profitTargets: [
+        { targetCents: 3, percentToClose: 3 },
+        { targetCents: 6, percentToClose: 3 },
+        { targetCents: 12, percentToClose: 3 },
+      ],
+      dynamicStops: [
+        { profitTargetsHit: 0, stopCents: -10 },
+        { profitTargetsHit: 1, stopCents: -5 },
+        { profitTargetsHit: 2, stopCents: 0 },
+        { profitTargetsHit: 3, stopCents: 3 },
+      ],
+    },
+  },
+  // Profile assignment, checked in order: order tag, symbol, entry-price tier.
+  // Positions that match nothing use orderSettings as the 'default' profile.
+  profileAssignment: {
+    tags: {}, // Client order ID prefix => profile, e.g. { SCALP: 'lowPrice' }
+    symbols: {}, // Symbol => profile, e.g. { TSLA: 'largeCap' }
+    priceTiers: [], // e.g. [{ maxPrice: 5, profile: 'lowPrice' }, { minPrice: 5, maxPrice: 20, profile: 'midPrice' }]
+  },
+  exitChaser: {
+    enabled: false, // Reprice unfilled target ('ioc') and close orders
+    chaseAfterMs: 3000, // How long an exit order may sit open before repricing
+    maxAttempts: 3, // Reprices before escalating to a market order
+    escalateToMarket: true, // Market orders are only sent during regular hours
+  },
+  protectiveStop: {
+    enabled: false, // Keep a broker-side stop at Alpaca as a backstop (regular hours only)
+    type: 'stop', // 'stop' or 'stop_limit'
+    limitOffsetCents: 10, // stop_limit only: limit price this far past the stop
+    minMoveCents: 1, // Only move the broker stop when the stop moves at least this much
+  },
+  tradeUpdates: {
+    reconnectInitialMs: 1000, // First reconnect delay for the Alpaca trade updates stream
+    reconnectMaxMs: 30000, // Backoff cap between reconnect attempts
+  },
+  riskLimits: {
+    // Any breach halts trading until the next session: pyramiding stops and all
+    // positions are flattened. Set a limit to null to disable it.
+    maxDailyLoss: null, // Dollars, from last_equity
+    maxDailyLossPercent: null, // Percent of last_equity
+    maxGivebackFromPeak: null, // Dollars below the intraday equity peak
+    maxOpenExposure: null, // Dollars of open market value across positions
+  },
+  schedule: {
+    enabled: false, // Run the session rules below (weekdays, skipping market holidays)
+    // Times are HH:MM in timeZone. Actions: tightenToBreakeven, cancelPyramidOrders, flattenAll
+    // On early-close days, times at or after the close move earlier by as much as the session was cut short
+    rules: [
+      { time: '15:45', action: 'tightenToBreakeven' },
+      { time: '15:50', action: 'cancelPyramidOrders' },
+      { time: '15:55', action: 'flattenAll' },
+      { time: '19:55', action: 'flattenAll', label: 'After-hours flatten' },
+    ],
+  },
+  entry: {
+    enabled: false, // Place entry orders on confirmed breaks of the high of day
+    watchlist: [], // Symbols to watch, e.g. ['AAPL', 'TSLA']
+    // Price tiers by high of day: shares to buy, how far past HOD a break must
+    // go, and the entry limit offset above the ask. Symbols outside every tier
+    // are watched but not traded.
+    tiers: [
+      { maxPrice: 5, qty: 1000, breakoutCents: 2, offsetCents: 3 },
+      { minPrice: 5, maxPrice: 20, qty: 300, breakoutCents: 3, offsetCents: 5 },
+      { minPrice: 20, qty: 100, breakoutCents: 5, offsetCents: 10 },
+    ],
+    confirmQuotes: 2, // Consecutive quotes past the breakout level to confirm a break
+    cancelAfterMs: 5000, // Cancel entry orders that haven't filled by then
+    cooldownMs: 60000, // Minimum time between entries on the same symbol
+    freezeHodMs: 30000, // Hold HOD at the breakout level this long after an entry
   },
   pollingIntervals: {
     orderStatus: 1000, // Poll order statuses every second
     positionRefresh: 2000, // Refresh positions every 2 seconds
+    timeExits: 1000, // Check time-based exit rules every second
+  },
+  persistence: {
+    stateFile: 'orderManagerState.json', // Exit progress and tracked orders, saved on every change
+    simulatedStateFile: 'orderManagerState.simulated.json', // Used instead with the simulated broker
+  },
+  controlApi: {
+    enabled: false, // Serve the local HTTP + WebSocket control API
+    host: '127.0.0.1', // Keep on localhost; the API can flatten positions
+    port: 8787,
+    webDashboard: true, // Serve the browser dashboard at / (open it with ?token=...)
+    token: process.env.CONTROL_API_TOKEN, // Required on every request; the API won't start without it
+  },
+  notifications: {
+    enabled: false, // Send trading events to the webhooks below
+    // Events sent to every webhook unless it lists its own: stop_triggered, target_hit,
+    // pyramid_filled, position_closed, circuit_breaker, flatten_failed, feed_stale,
+    // order_rejected, order_cancel_failed
+    events: [
+      'stop_triggered',
+      'target_hit',
+      'pyramid_filled',
+      'position_closed',
+      'circuit_breaker',
+      'flatten_failed',
+      'feed_stale',
+      'order_rejected',
+      'order_cancel_failed',
+    ],
+    // e.g. [{ url: process.env.SLACK_WEBHOOK_URL, format: 'slack', events: ['circuit_breaker'] }]
+    // Formats: 'json' (the raw event), 'slack' or 'discord'
+    webhooks: [],
+    maxRetries: 3, // Retries on network errors, timeouts, 429 and 5xx
+    retryDelayMs: 1000, // First retry delay, doubled each retry
+    minIntervalMs: 1000, // Minimum time between sends to the same webhook
+    maxQueued: 20, // Events waiting per webhook before new ones are dropped
+    timeoutMs: 5000, // Per-request timeout
+  },
+  headless: {
+    sink: 'console', // 'console' (info to stdout, warnings and errors to stderr) or 'file'
+    file: 'trading-exit-system-headless.log', // Written when sink is 'file'
+    statusIntervalMs: 60000, // How often the one-line status summary is written
   },
   logging: {
     level: 'info', // Logging level: 'debug', 'info', 'warn', 'error'
@@ -0,0 +1,478 @@
+// controlApi.js
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const WebSocket = require('ws');
+const Reporter = require('./reporter');
+const config = require('./config');
+const logger = require('./logger');
+
+// Config keys whose values are credentials (webhook URLs embed their own), masked in GET /api/config
+const SECRET_CONFIG_KEYS = ['keyId', 'secretKey', 'apiKey', 'token', 'url'];
+
+// Largest request body accepted, in bytes
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Browser dashboard served at GET /
+const WEB_DASHBOARD_FILE = path.join(__dirname, 'webDashboard.html');
+
+/**
+ * Creates an error that the request handler answers with the given status.
+ */
+function httpError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+/**
+ * Returns a deep copy of the config with credentials masked.
+ */
+function redactConfig(value) {
+  if (Array.isArray(value)) {
+    return value.map(redactConfig);
+  }
+  if (value && typeof value === 'object') {
+    const copy = {};
+    Object.keys(value).forEach((key) => {
+      copy[key] =
+        SECRET_CONFIG_KEYS.includes(key) && value[key]
+          ? '********'
+          : redactConfig(value[key]);
+    });
+    return copy;
+  }
+  return value;
+}
+
+/**
+ * Local HTTP and WebSocket API for monitoring and controlling the exit system
+ * from other tools. It receives everything the dashboard does (it is a
+ * Reporter) and pushes it to WebSocket clients; actions call the same
+ * OrderManager methods as the dashboard's position commands.
+ *
+ * Every request needs the configured token, as `Authorization: Bearer <token>`
+ * or a `token` query parameter (browsers can't set headers on WebSockets).
+ */
+class ControlApi extends Reporter {
+  constructor(settings = config.controlApi) {
+    super();
+    this.settings = settings;
+    this.orderManager = null;
+    this.reporter = this; // Replaced in start()
+    this.server = null;
+    this.wss = null;
+
+    // Latest reported state, for GET requests and new WebSocket clients
+    this.orders = [];
+    this.accountSummary = null;
+    this.haltReason = null;
+    this.nextScheduledAction = null;
+    this.feedState = 'disconnected';
+    this.staleSymbols = [];
+
+    // Routes: [method, pattern, handler(match, body)]
+    this.routes = [
+      ['GET', /^\/api\/positions$/, () => this.getPositions()],
+      ['GET', /^\/api\/orders$/, () => this.getOrders()],
+      ['GET', /^\/api\/account$/, () => this.getAccount()],
+      ['GET', /^\/api\/journal$/, () => this.getJournal()],
+      ['GET', /^\/api\/config$/, () => redactConfig(config)],
+      [
+        'POST',
+        /^\/api\/positions\/([A-Z.]+)\/flatten$/,
+        ([, symbol]) => this.flatten(symbol),
+      ],
+      [
+        'POST',
+        /^\/api\/positions\/([A-Z.]+)\/close$/,
+        ([, symbol], body) => this.closePercent(symbol, body),
+      ],
+      [
+        'POST',
+        /^\/api\/positions\/([A-Z.]+)\/stop$/,
+        ([, symbol], body) => this.moveStop(symbol, body),
+      ],
+      [
+        'POST',
+        /^\/api\/positions\/([A-Z.]+)\/pyramiding$/,
+        ([, symbol], body) => this.setPyramiding(symbol, body),
+      ],
+      [
+        'POST',
+        /^\/api\/positions\/([A-Z.]+)\/skip-target$/,
+        ([, symbol]) => this.skipTarget(symbol),
+      ],
+      [
+        'POST',
+        /^\/api\/positions\/([A-Z.]+)\/cancel-orders$/,
+        ([, symbol]) => this.cancelOrders(symbol),
+      ],
+      ['POST', /^\/api\/halt$/, (match, body) => this.halt(body)],
+    ];
+  }
+
+  /**
+   * Starts listening on the configured host and port.
+   * @param {OrderManager} orderManager - Source of positions and target of actions.
+   * @param {Reporter} reporter - Where the API's own messages go, so the UI
+   *   shows them as well as WebSocket clients.
+   */
+  start(orderManager, reporter) {
+    this.reporter = reporter;
+    if (!this.settings.token) {
+      const errorMessage =
+        'Control API not started: set CONTROL_API_TOKEN to enable it.';
+      logger.error(errorMessage);
+      this.reporter.logError(errorMessage);
+      return;
+    }
+
+    this.orderManager = orderManager;
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    this.wss = new WebSocket.Server({ noServer: true });
+    this.server.on('upgrade', (req, socket, head) =>
+      this.handleUpgrade(req, socket, head)
+    );
+    this.server.on('error', (err) => {
+      const errorMessage = `Control API server error: ${err.message}`;
+      logger.error(errorMessage);
+      this.reporter.logError(errorMessage);
+    });
+
+    this.server.listen(this.settings.port, this.settings.host, () => {
+      const message = `Control API listening on http://${this.settings.host}:${this.settings.port}`;
+      logger.info(message);
+      this.reporter.logInfo(message);
+    });
+  }
+
+  /**
+   * Checks a request's token in constant time.
+   */
+  isAuthorized(req, url) {
+    const header = req.headers.authorization || '';
+    const provided = header.startsWith('Bearer ')
+      ? header.slice('Bearer '.length)
+      : url.searchParams.get('token') || '';
+    const expected = Buffer.from(this.settings.token);
+    const actual = Buffer.from(provided);
+    return (
+      actual.length === expected.length &&
+      crypto.timingSafeEqual(actual, expected)
+    );
+  }
+
+  async handleRequest(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    try {
+      if (!this.isAuthorized(req, url)) {
+        throw httpError(401, 'Unauthorized');
+      }
+
+      if (
+        req.method === 'GET' &&
+        url.pathname === '/' &&
+        this.settings.webDashboard
+      ) {
+        this.sendDashboardPage(res);
+        return;
+      }
+
+      const route = this.routes.find(
+        ([method, pattern]) =>
+          method === req.method && pattern.test(url.pathname)
+      );
+      if (!route) {
+        throw httpError(404, `No route for ${req.method} ${url.pathname}`);
+      }
+
+      const body = req.method === 'POST' ? await this.readBody(req) : null;
+      const result = await route[2](url.pathname.match(route[1]), body);
+      this.sendJson(res, 200, result);
+    } catch (err) {
+      const statusCode = err.statusCode || 500;
+      if (statusCode === 500) {
+        const errorMessage = `Control API error on ${req.method} ${url.pathname}: ${err.message}`;
+        logger.error(errorMessage);
+        this.reporter.logError(errorMessage);
+      }
+      this.sendJson(res, statusCode, { error: err.message });
+    }
+  }
+
+  handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    if (url.pathname !== '/ws' || !this.isAuthorized(req, url)) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    this.wss.handleUpgrade(req, socket, head, (ws) => {
+      // Start each client off with the current state
+      this.send(ws, 'positions', this.getPositions());
+      this.send(ws, 'orders', this.getOrders());
+      this.send(ws, 'account', this.getAccount());
+    });
+  }
+
+  /**
+   * Reads and parses a JSON request body. An empty body is {}.
+   */
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let text = '';
+      req.on('data', (chunk) => {
+        text += chunk;
+        if (text.length > MAX_BODY_BYTES) {
+          reject(httpError(413, 'Request body too large'));
+          req.destroy();
+        }
+      });
+      req.on('end', () => {
+        let body;
+        try {
+          body = text ? JSON.parse(text) : {};
+        } catch (err) {
+          reject(httpError(400, `Invalid JSON: ${err.message}`));
+          return;
+        }
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+          reject(httpError(400, 'Request body must be a JSON object'));
+          return;
+        }
+        resolve(body);
+      });
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Serves the browser dashboard. The page reads the token from its own URL
+   * and uses it for the API and WebSocket.
+   */
+  sendDashboardPage(res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': 'no-store',
+    });
+    fs.createReadStream(WEB_DASHBOARD_FILE).pipe(res);
+  }
+
+  sendJson(res, statusCode, data) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  }
+
+  send(ws, type, data) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ type, at: Date.now(), data }));
+    }
+  }
+
+  /**
+   * Pushes an event to every connected WebSocket client.
+   */
+  broadcast(type, data) {
+    if (this.wss) {
+      this.wss.clients.forEach((ws) => this.send(ws, type, data));
+    }
+  }
+
+  getPositions() {
+    return this.orderManager ? Object.values(this.orderManager.positions) : [];
+  }
+
+  /**
+   * Returns the orders the system is tracking, and every open order at the
+   * broker as of the last poll.
+   */
+  getOrders() {
+    const tracked = this.orderManager
+      ? Object.keys(this.orderManager.orderTracking).map((id) => ({
+          id,
+          ...this.orderManager.orderTracking[id],
+        }))
+      : [];
+    return { tracked, open: this.orders };
+  }
+
+  getAccount() {
+    return {
+      ...this.accountSummary,
+      halted: this.haltReason,
+      nextScheduledAction: this.nextScheduledAction,
+      feedState: this.feedState,
+      staleSymbols: this.staleSymbols,
+    };
+  }
+
+  getJournal() {
+    const { journal } = this.orderManager;
+    return { trades: journal.trades, daily: journal.getDailySummaries() };
+  }
+
+  /**
+   * Returns the tracked position for an action, or answers 404.
+   */
+  requirePosition(symbol) {
+    const pos = this.orderManager.positions[symbol];
+    if (!pos) {
+      throw httpError(404, `No tracked position for ${symbol}`);
+    }
+    return pos;
+  }
+
+  logAction(description) {
+    const message = `Control API: ${description}`;
+    logger.info(message);
+    this.reporter.logInfo(message);
+  }
+
+  async flatten(symbol) {
+    this.requirePosition(symbol);
+    this.logAction(`flatten ${symbol}`);
+    await this.orderManager.exitPosition(symbol, 'flatten');
+    return { ok: true };
+  }
+
+  /**
+   * Body: { percent } of the remaining shares, 1-100.
+   */
+  async closePercent(symbol, { percent }) {
+    this.requirePosition(symbol);
+    if (!(percent > 0 && percent <= 100)) {
+      throw httpError(400, 'percent must be between 1 and 100');
+    }
+    this.logAction(`close ${percent}% of ${symbol}`);
+    await this.orderManager.closePercent(symbol, percent);
+    return { ok: true };
+  }
+
+  /**
+   * Body: { price } to move the stop to, { cents } to nudge it by (positive
+   * is up), or { breakeven: true }.
+   */
+  async moveStop(symbol, { price, cents, breakeven }) {
+    const pos = this.requirePosition(symbol);
+    if (breakeven) {
+      this.logAction(`move ${symbol} stop to breakeven`);
+      await this.orderManager.moveStopToBreakeven(symbol);
+    } else if (price > 0) {
+      this.logAction(`move ${symbol} stop to $${price}`);
+      await this.orderManager.moveStop(symbol, price);
+    } else if (Number.isInteger(cents) && cents !== 0) {
+      this.logAction(`nudge ${symbol} stop ${cents}¢`);
+      await this.orderManager.nudgeStop(symbol, cents);
+    } else {
+      throw httpError(
+        400,
+        'Provide a positive price, a non-zero whole number of cents, or breakeven: true'
+      );
+    }
+    return { ok: true, stopPrice: pos.stopPrice };
+  }
+
+  /**
+   * Body: { enabled } to resume (true) or pause (false) pyramid adds.
+   */
+  async setPyramiding(symbol, { enabled }) {
+    this.requirePosition(symbol);
+    if (typeof enabled !== 'boolean') {
+      throw httpError(400, 'enabled must be true or false');
+    }
+    this.logAction(`${enabled ? 'resume' : 'pause'} pyramiding on ${symbol}`);
+    if (enabled) {
+      this.orderManager.enablePyramiding(symbol);
+    } else {
+      await this.orderManager.disablePyramiding(symbol);
+    }
+    return { ok: true };
+  }
+
+  async skipTarget(symbol) {
+    this.requirePosition(symbol);
+    this.logAction(`skip next target on ${symbol}`);
+    this.orderManager.skipNextTarget(symbol);
+    return { ok: true };
+  }
+
+  async cancelOrders(symbol) {
+    this.requirePosition(symbol);
+    this.logAction(`cancel working orders for ${symbol}`);
+    await this.orderManager.cancelWorkingOrders(symbol);
+    return { ok: true };
+  }
+
+  /**
+   * Halts trading for the session and flattens everything, as the circuit
+   * breaker does. Body: { reason } (optional).
+   */
+  async halt({ reason }) {
+    const haltReason = `Manual halt${reason ? `: ${reason}` : ''}`;
+    this.logAction(haltReason);
+    await this.orderManager.haltTrading(haltReason);
+    return { ok: true };
+  }
+
+  logInfo(message) {
+    if (this.shouldDisplayMessage(message)) {
+      this.broadcast('log', { level: 'info', message });
+    }
+  }
+
+  logWarning(message) {
+    this.broadcast('log', { level: 'warning', message });
+  }
+
+  logError(message) {
+    this.broadcast('log', { level: 'error', message });
+  }
+
+  updatePositions(positions) {
+    this.broadcast('positions', positions);
+  }
+
+  updateOrders(orders) {
+    this.orders = orders;
+    this.broadcast('orders', this.getOrders());
+  }
+
+  updateAccountSummary(accountSummary) {
+    this.accountSummary = accountSummary;
+    this.broadcast('account', this.getAccount());
+  }
+
+  setHalted(reason) {
+    this.haltReason = reason;
+    this.broadcast('account', this.getAccount());
+  }
+
+  setNextScheduledAction(description) {
+    this.nextScheduledAction = description;
+  }
+
+  setFeedState(state) {
+    this.feedState = state;
+  }
+
+  setStaleSymbols(symbols) {
+    this.staleSymbols = symbols;
+  }
+
+  /**
+   * Disconnects WebSocket clients and stops listening.
+   */
+  async close() {
+    if (!this.server) {
+      return;
+    }
+    this.wss.clients.forEach((ws) => ws.terminate());
+    await new Promise((resolve) => this.server.close(resolve));
+  }
+}
+
+module.exports = ControlApi;
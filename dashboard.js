@@ -2,11 +2,73 @@
 
 const blessed = require('blessed');
 const contrib = require('blessed-contrib');
+const Reporter = require('./reporter');
 const logger = require('./logger');
 const config = require('./config');
 
-class Dashboard {
+// Keyboard commands on the selected Positions row. Commands marked confirm
+// ask first in a prompt.
+const POSITION_COMMANDS = [
+  {
+    keys: ['f'],
+    label: 'Flatten',
+    confirm: true,
+    run: (orderManager, symbol) => orderManager.exitPosition(symbol, 'flatten'),
+  },
+  {
+    keys: ['2'],
+    label: 'Close 25%',
+    confirm: true,
+    run: (orderManager, symbol) => orderManager.closePercent(symbol, 25),
+  },
+  {
+    keys: ['5'],
+    label: 'Close 50%',
+    confirm: true,
+    run: (orderManager, symbol) => orderManager.closePercent(symbol, 50),
+  },
+  {
+    keys: ['b'],
+    label: 'Stop to breakeven',
+    run: (orderManager, symbol) => orderManager.moveStopToBreakeven(symbol),
+  },
+  {
+    keys: ['+', '='],
+    label: 'Stop up 1¢',
+    run: (orderManager, symbol) => orderManager.nudgeStop(symbol, 1),
+  },
+  {
+    keys: ['-'],
+    label: 'Stop down 1¢',
+    run: (orderManager, symbol) => orderManager.nudgeStop(symbol, -1),
+  },
+  {
+    keys: ['s'],
+    label: 'Skip next target',
+    run: (orderManager, symbol) => orderManager.skipNextTarget(symbol),
+  },
+  {
+    keys: ['p'],
+    label: 'Disable pyramiding',
+    run: (orderManager, symbol) => orderManager.disablePyramiding(symbol),
+  },
+  {
+    keys: ['x'],
+    label: 'Cancel working orders',
+    confirm: true,
+    run: (orderManager, symbol) => orderManager.cancelWorkingOrders(symbol),
+  },
+];
+
+class Dashboard extends Reporter {
   constructor() {
+    super();
+    this.nextScheduledAction = null; // Shown in the Account Summary
+    this.feedState = 'disconnected'; // Polygon connection state, shown in the Account Summary
+    this.staleSymbols = []; // Symbols without recent quotes
+    this.positionSymbols = []; // Symbols in Positions table row order
+    this.isPromptOpen = false;
+
     // Create a screen object.
     this.screen = blessed.screen({
       smartCSR: true,
@@ -42,9 +104,12 @@ class Dashboard {
         10, // BID
         10, // ASK
         9, // PROFIT
-        20, // STOP PRICE
-        16, // TARGETS HIT
+        28, // STOP PRICE
+        18, // TARGETS HIT
         16, // PYRAMIDS HIT
+        10, // PROFILE
+        8, // AGE
+        18, // TIME LEFT
       ],
       style: {
         header: { fg: 'cyan', bold: true },
@@ -71,6 +136,9 @@ class Dashboard {
         'STOP PRICE',
         'TARGETS HIT',
         'PYRAMIDS HIT',
+        'PROFILE',
+        'AGE',
+        'TIME LEFT',
       ],
       data: [],
     });
@@ -170,11 +238,47 @@ class Dashboard {
     });
 
     // --------------------------
-    // 4. Quit Key Bindings
+    // 4. Halted Banner (Overlay, hidden until the circuit breaker trips)
+    // --------------------------
+    this.haltBanner = blessed.box({
+      parent: this.screen,
+      top: 0,
+      left: 'center',
+      width: '60%',
+      height: 3,
+      tags: true,
+      align: 'center',
+      valign: 'middle',
+      border: { type: 'line', fg: 'white' },
+      style: { fg: 'white', bg: 'red', bold: true },
+      hidden: true,
+    });
+
+    // --------------------------
+    // 5. Confirmation Prompt (for destructive position commands)
+    // --------------------------
+    this.confirmPrompt = blessed.question({
+      parent: this.screen,
+      top: 'center',
+      left: 'center',
+      width: '50%',
+      height: 'shrink',
+      keys: true,
+      tags: true,
+      label: ' CONFIRM ',
+      border: { type: 'line', fg: 'yellow' },
+      hidden: true,
+    });
+
+    // --------------------------
+    // 6. Quit Key Bindings
     // --------------------------
-    // Quit on Escape, q, or Control-C.
-    this.screen.key(['escape', 'q', 'C-c'], () => {
-      return process.exit(0);
+    // Quit on Escape, q, or Control-C. Escape and q answer the prompt instead while it's open.
+    this.screen.key(['escape', 'q', 'C-c'], (ch, key) => {
+      if (this.isPromptOpen && key.full !== 'C-c') {
+        return;
+      }
+      return this.onQuit ? this.onQuit() : process.exit(0);
     });
 
     this.screen.render();
@@ -216,21 +320,18 @@ class Dashboard {
   }
 
   /**
-   * Determines whether a message should be displayed on the Info box.
-   * @param {string} message - The message to evaluate.
-   * @returns {boolean} - True if the message should be displayed; false otherwise.
+   * Formats a duration in ms as M:SS, or H:MM:SS from an hour up.
+   * @param {number} ms - The duration; negative values show as 0:00.
+   * @returns {string} - The formatted duration.
    */
-  shouldDisplayMessage(message) {
-    const excludedMessages = config.logging.excludedMessages || [
-      'Already refreshing positions. Skipping this interval.',
-      'Already polling order statuses. Skipping this interval.',
-      // Add any other messages you want to exclude from dashboard logs
-    ];
-
-    // Check if the message includes any of the excluded phrases
-    return !excludedMessages.some((excludedMsg) =>
-      message.includes(excludedMsg)
-    );
+  formatDuration(ms) {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return hours > 0
+      ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+      : `${minutes}:${seconds}`;
   }
 
   /**
@@ -238,6 +339,8 @@ class Dashboard {
    * @param {Array} positions - Array of position objects.
    */
   updatePositions(positions) {
+    this.positionSymbols = positions.map((pos) => pos.symbol);
+
     const tableData = positions.map((pos) => {
       // Ensure all necessary properties are present
       const profitCents = parseFloat(pos.profitCents);
@@ -249,19 +352,33 @@ class Dashboard {
         stopCentsValue
       )}¢`;
 
-      const stopPrice = pos.stopPrice
+      let stopPrice = pos.stopPrice
         ? `$${pos.stopPrice.toFixed(2)} (${stopCentsDisplay})`
         : 'N/A';
 
+      // Trailing stops show the trail distance and the high-water mark instead
+      if (pos.stopPrice && pos.stopMode === 'trailing' && pos.trailCents) {
+        stopPrice = `$${pos.stopPrice.toFixed(2)} (T${parseFloat(
+          pos.trailCents
+        ).toFixed(1)}¢ HWM $${pos.highWaterMark.toFixed(2)})`;
+      }
+
       // Fetch total profit targets from config
       const totalProfitTargets =
         pos.totalProfitTargets || config.orderSettings.profitTargets.length;
 
-      const profitTargetsHit = pos.profitTargetsHit
+      let profitTargetsHit = pos.profitTargetsHit
         ? `${pos.profitTargetsHit}/${totalProfitTargets}`
         : `0/${totalProfitTargets}`;
 
-      // Fetch total pyramid levels from config
+      // Show the next target as resolved in cents for this position
+      const nextTarget =
+        pos.profitTargets && pos.profitTargets[pos.profitTargetsHit || 0];
+      if (nextTarget) {
+        profitTargetsHit += ` (+${nextTarget.targetCents}¢)`;
+      }
+
+      // Fetch total pyramid levels from the position's profile
       const totalPyramidLevels =
         pos.totalPyramidLevels || config.orderSettings.pyramidLevels.length;
 
@@ -280,6 +397,14 @@ class Dashboard {
         stopPrice,
         profitTargetsHit,
         pyramidLevelsHit,
+        pos.exitProfile || 'default',
+        pos.openedAt ? this.formatDuration(Date.now() - pos.openedAt) : 'N/A',
+        // Time until the next time-based exit rule fires
+        pos.nextTimeRule
+          ? `${this.formatDuration(pos.nextTimeRule.at - Date.now())} ${
+              pos.nextTimeRule.label
+            }`
+          : '-',
       ];
     });
 
@@ -296,6 +421,9 @@ class Dashboard {
         'STOP PRICE',
         'TARGETS HIT',
         'PYRAMIDS HIT',
+        'PROFILE',
+        'AGE',
+        'TIME LEFT',
       ],
       data: tableData,
     });
@@ -312,10 +440,10 @@ class Dashboard {
    */
   updateOrders(orders) {
     const tableData = orders.map((order) => {
-      const limitPrice = order.limit_price
-        ? `$${parseFloat(order.limit_price).toFixed(2)}`
-        : order.trail_price
-        ? `$${parseFloat(order.trail_price).toFixed(2)}`
+      const limitPrice = order.limitPrice
+        ? `$${order.limitPrice.toFixed(2)}`
+        : order.trailPrice
+        ? `$${order.trailPrice.toFixed(2)}`
         : 'Market';
 
       return [
@@ -323,7 +451,7 @@ class Dashboard {
         order.symbol,
         order.side.toUpperCase(),
         order.type.toUpperCase(),
-        order.qty,
+        String(order.qty),
         limitPrice,
         order.status.toUpperCase(),
       ];
@@ -361,6 +489,107 @@ class Dashboard {
     });
   }
 
+  /**
+   * Binds the position commands to keys on the Positions table. Each command
+   * acts on the selected row's symbol through the OrderManager.
+   * @param {OrderManager} orderManager - Runs the commands.
+   */
+  bindPositionCommands(orderManager) {
+    POSITION_COMMANDS.forEach((command) => {
+      this.positionsTable.rows.key(command.keys, () => {
+        if (this.isPromptOpen) {
+          return;
+        }
+
+        const symbol = this.positionSymbols[this.positionsTable.rows.selected];
+        if (!symbol) {
+          return;
+        }
+
+        if (!command.confirm) {
+          this.runPositionCommand(orderManager, command, symbol);
+          return;
+        }
+
+        this.isPromptOpen = true;
+        this.confirmPrompt.ask(
+          `${command.label} ${symbol}? (y/n)`,
+          (err, confirmed) => {
+            // The answer key still reaches the screen's key bindings this tick
+            setImmediate(() => {
+              this.isPromptOpen = false;
+            });
+            this.positionsTable.focus();
+            if (confirmed) {
+              this.runPositionCommand(orderManager, command, symbol);
+            }
+          }
+        );
+      });
+    });
+
+    this.positionsTable.setLabel(
+      ' POSITIONS  [f] flatten  [2] 25%  [5] 50%  [b] breakeven  [+/-] stop 1¢  [s] skip target  [p] no pyramid  [x] cancel orders '
+    );
+    this.positionsTable.focus();
+    this.screen.render();
+  }
+
+  /**
+   * Runs a position command and logs the outcome.
+   */
+  async runPositionCommand(orderManager, command, symbol) {
+    const message = `Manual command: ${command.label} ${symbol}.`;
+    logger.info(message);
+    this.logInfo(message);
+    try {
+      await command.run(orderManager, symbol);
+    } catch (err) {
+      const errorMessage = `Error running ${command.label} for ${symbol}: ${err.message}`;
+      logger.error(errorMessage);
+      this.logError(errorMessage);
+    }
+  }
+
+  /**
+   * Shows or hides the HALTED banner.
+   * @param {string|null} reason - Why trading is halted, or null to clear the banner.
+   */
+  setHalted(reason) {
+    if (reason) {
+      this.haltBanner.setContent(`HALTED: ${reason}`);
+      this.haltBanner.show();
+      this.haltBanner.setFront();
+    } else {
+      this.haltBanner.hide();
+    }
+    this.screen.render();
+  }
+
+  /**
+   * Sets the next scheduled session rule shown in the Account Summary.
+   * @param {string|null} description - e.g. 'Today 15:55 Flatten all positions'.
+   */
+  setNextScheduledAction(description) {
+    this.nextScheduledAction = description;
+  }
+
+  /**
+   * Sets the Polygon connection state shown in the Account Summary.
+   * @param {string} state - e.g. 'connected', 'reconnecting', 'auth_failed'.
+   */
+  setFeedState(state) {
+    this.feedState = state;
+  }
+
+  /**
+   * Sets the symbols shown as having stale quotes.
+   * @param {Array} symbols - Symbols without recent quotes.
+   */
+  setStaleSymbols(symbols) {
+    this.staleSymbols = symbols;
+  }
+
   /**
    * Updates the Account Summary section with the latest account information.
    * @param {Object} accountSummary - The account summary data.
@@ -372,10 +601,25 @@ class Dashboard {
 - **Cash**: $${accountSummary.cash}
 - **Day's P&L**: $${accountSummary.pnl} (${accountSummary.pnl_percentage}%)
 - **Open P&L**: $${accountSummary.unrealized_pl}
+- **Peak Equity**: $${accountSummary.peak_equity}
+- **Giveback**: $${accountSummary.drawdown}
+- **Exposure**: $${accountSummary.exposure}
+- **Next Action**: ${this.nextScheduledAction || 'None'}
+- **Polygon Feed**: ${this.feedState.toUpperCase()}
+- **Stale Quotes**: ${
+      this.staleSymbols.length > 0 ? this.staleSymbols.join(', ') : 'None'
+    }
 `;
     this.accountSummaryBox.setMarkdown(content);
     this.screen.render();
   }
+
+  /**
+   * Restores the terminal.
+   */
+  async close() {
+    this.screen.destroy();
+  }
 }
 
 module.exports = Dashboard;
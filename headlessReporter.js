@@ -0,0 +1,156 @@
+// headlessReporter.js
+
+const fs = require('fs');
+const path = require('path');
+const Reporter = require('./reporter');
+const config = require('./config');
+
+/**
+ * Reports without a terminal UI, for systemd, Docker or a non-TTY session.
+ * Log messages are written as plain lines to the console or a file, and a
+ * one-line status summary stands in for the dashboard panels.
+ */
+class HeadlessReporter extends Reporter {
+  constructor(settings = config.headless) {
+    super();
+    this.settings = settings;
+    this.stream =
+      settings.sink === 'file'
+        ? fs.createWriteStream(path.resolve(__dirname, settings.file), {
+            flags: 'a',
+          })
+        : null;
+
+    // Latest state, summarized by writeStatus()
+    this.positions = [];
+    this.orders = [];
+    this.accountSummary = null;
+    this.haltReason = null;
+    this.nextScheduledAction = null;
+    this.feedState = 'disconnected';
+    this.staleSymbols = [];
+
+    this.statusInterval = setInterval(
+      () => this.writeStatus(),
+      settings.statusIntervalMs
+    );
+  }
+
+  /**
+   * Writes one timestamped line to the sink. On the console, warnings and
+   * errors go to stderr.
+   */
+  write(level, message) {
+    const line = `[${new Date().toISOString()}] ${level}: ${message}`;
+    if (this.stream) {
+      this.stream.write(`${line}\n`);
+    } else if (level === 'INFO' || level === 'STATUS') {
+      console.log(line);
+    } else {
+      console.error(line);
+    }
+  }
+
+  logInfo(message) {
+    if (this.shouldDisplayMessage(message)) {
+      this.write('INFO', message);
+    }
+  }
+
+  logWarning(message) {
+    this.write('WARNING', message);
+  }
+
+  logError(message) {
+    this.write('ERROR', message);
+  }
+
+  updatePositions(positions) {
+    this.positions = positions;
+  }
+
+  updateOrders(orders) {
+    this.orders = orders;
+  }
+
+  updateAccountSummary(accountSummary) {
+    this.accountSummary = accountSummary;
+  }
+
+  setHalted(reason) {
+    if (reason && reason !== this.haltReason) {
+      this.write('WARNING', `HALTED: ${reason}`);
+    } else if (!reason && this.haltReason) {
+      this.write('INFO', 'Trading resumed.');
+    }
+    this.haltReason = reason;
+  }
+
+  setNextScheduledAction(description) {
+    this.nextScheduledAction = description;
+  }
+
+  setFeedState(state) {
+    this.feedState = state;
+  }
+
+  setStaleSymbols(symbols) {
+    this.staleSymbols = symbols;
+  }
+
+  /**
+   * Builds the status line: account, positions with open profit, working
+   * orders, feed health and what's next.
+   * @returns {string}
+   */
+  formatStatus() {
+    const parts = [];
+    const account = this.accountSummary;
+    if (account) {
+      parts.push(
+        `Equity $${account.equity}`,
+        `Day P&L $${account.pnl} (${account.pnl_percentage}%)`,
+        `Open P&L $${account.unrealized_pl}`
+      );
+    }
+
+    const positions = this.positions.map(
+      (pos) =>
+        `${pos.symbol} ${pos.side.toUpperCase()} ${pos.qty} ${parseFloat(
+          pos.profitCents || 0
+        ).toFixed(2)}¢`
+    );
+    parts.push(
+      `Positions ${this.positions.length}${
+        positions.length > 0 ? ` (${positions.join(', ')})` : ''
+      }`,
+      `Orders ${this.orders.length}`,
+      `Feed ${this.feedState.toUpperCase()}`
+    );
+    if (this.staleSymbols.length > 0) {
+      parts.push(`Stale ${this.staleSymbols.join(', ')}`);
+    }
+    parts.push(`Next ${this.nextScheduledAction || 'None'}`);
+    if (this.haltReason) {
+      parts.push(`HALTED: ${this.haltReason}`);
+    }
+    return parts.join(' | ');
+  }
+
+  writeStatus() {
+    this.write('STATUS', this.formatStatus());
+  }
+
+  /**
+   * Writes a final status line, stops the status timer and flushes the file sink.
+   */
+  async close() {
+    clearInterval(this.statusInterval);
+    this.writeStatus();
+    if (this.stream) {
+      await new Promise((resolve) => this.stream.end(resolve));
+    }
+  }
+}
+
+module.exports = HeadlessReporter;
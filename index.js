@@ -1,52 +1,73 @@
 // index.js
 
 const PolygonClient = require('./polygon');
-const { alpaca } = require('./alpaca');
+const AlpacaBroker = require('./alpacaBroker');
+const SimulatedBroker = require('./simulatedBroker');
 const Dashboard = require('./dashboard');
+const HeadlessReporter = require('./headlessReporter');
+const ControlApi = require('./controlApi');
+const ReporterGroup = require('./reporterGroup');
 const OrderManager = require('./orderManager');
+const RiskManager = require('./riskManager');
+const Scheduler = require('./scheduler');
+const MarketDataRecorder = require('./recorder');
+const Notifier = require('./notifier');
 const logger = require('./logger');
 const config = require('./config');
 
-const Bottleneck = require('bottleneck'); // For rate limiting
-
 const polygon = new PolygonClient();
-const dashboard = new Dashboard();
-const orderManager = new OrderManager(dashboard, polygon);
+const recorder = config.recorder.enabled ? new MarketDataRecorder() : null;
+polygon.recorder = recorder;
 
-// Initialize Alpaca rate limiter using Bottleneck
-const limiter = new Bottleneck({
-  minTime: 350, // Minimum time between requests in ms
-  maxConcurrent: 1, // Ensure requests are executed sequentially
-});
+const broker =
+  config.broker === 'simulated' ? new SimulatedBroker() : new AlpacaBroker();
+
+// --headless swaps the terminal UI for plain log lines and a periodic status line
+const headless = process.argv.includes('--headless');
+const ui = headless ? new HeadlessReporter() : new Dashboard();
 
-// Wrap Alpaca API calls with the rate limiter
-const limitedGetAccount = limiter.wrap(alpaca.getAccount.bind(alpaca));
-const limitedGetPositions = limiter.wrap(alpaca.getPositions.bind(alpaca));
+// The control API sees everything the UI does, to push to its WebSocket clients
+const controlApi = config.controlApi.enabled ? new ControlApi() : null;
+const dashboard = controlApi ? new ReporterGroup([ui, controlApi]) : ui;
+const orderManager = new OrderManager(dashboard, polygon, broker);
+orderManager.notifier = config.notifications.enabled ? new Notifier() : null;
+const riskManager = new RiskManager(dashboard, orderManager);
+const scheduler = new Scheduler(dashboard, orderManager, broker);
+
+// Keyboard commands on the selected position (flatten, partial close, stop nudges, ...)
+dashboard.bindPositionCommands(orderManager);
 
 // Periodically fetch and update account information every 1.5 seconds
 setInterval(async () => {
   try {
-    const accountInfo = await limitedGetAccount();
-    const positions = await limitedGetPositions();
+    const accountInfo = await broker.getAccount();
+    const positions = await broker.getPositions();
 
     // Calculate P&L and P&L %
-    const equity = parseFloat(accountInfo.equity);
-    const lastEquity = parseFloat(accountInfo.last_equity);
+    const { equity, lastEquity } = accountInfo;
     const pnl = equity - lastEquity;
     const pnlPercentage = ((pnl / lastEquity) * 100).toFixed(2);
 
-    // Calculate open P&L (unrealized P&L)
+    // Calculate open P&L (unrealized P&L) and open exposure
     let unrealizedPL = 0;
+    let exposure = 0;
     positions.forEach((position) => {
-      unrealizedPL += parseFloat(position.unrealized_pl);
+      unrealizedPL += position.unrealizedPl;
+      exposure += Math.abs(position.marketValue);
     });
 
+    // Check the daily risk limits
+    const riskStatus = riskManager.evaluate({ equity, lastEquity, exposure });
+
     const accountSummary = {
       equity: equity.toFixed(2),
-      cash: parseFloat(accountInfo.cash).toFixed(2),
+      cash: accountInfo.cash.toFixed(2),
       pnl: pnl.toFixed(2),
       pnl_percentage: pnlPercentage,
       unrealized_pl: unrealizedPL.toFixed(2),
+      peak_equity: riskStatus.peakEquity.toFixed(2),
+      drawdown: riskStatus.drawdown.toFixed(2),
+      exposure: exposure.toFixed(2),
     };
 
     dashboard.updateAccountSummary(accountSummary);
@@ -71,25 +92,91 @@ process.on('unhandledRejection', (reason, promise) => {
 async function main() {
   try {
     // Assign the onQuote handler
-    polygon.onQuote = async (symbol, bidPrice, askPrice) => {
-      await orderManager.onQuoteUpdate(symbol, bidPrice, askPrice);
+    polygon.onQuote = async (symbol, bidPrice, askPrice, timestamp) => {
+      if (broker instanceof SimulatedBroker) {
+        broker.onQuote(symbol, bidPrice, askPrice);
+      }
+      await orderManager.onQuoteUpdate(symbol, bidPrice, askPrice, timestamp);
+    };
+
+    // Feed health: connection state and symbols whose quotes went quiet
+    polygon.onStateChange = (state) => {
+      dashboard.setFeedState(state);
+      const message = `Polygon feed ${state}.`;
+      if (state === 'connected') {
+        dashboard.logInfo(message);
+      } else {
+        dashboard.logWarning(message);
+      }
+    };
+    polygon.onStale = (symbol, ageMs) => {
+      orderManager.onQuoteStale(symbol, ageMs);
+    };
+    polygon.onFresh = (symbol) => {
+      orderManager.onQuoteFresh(symbol);
+    };
+
+    // Trades and bars for the symbols subscribed to those channels
+    polygon.onTrade = (symbol, price, size, timestamp) => {
+      orderManager.onTradePrint(symbol, price, size, timestamp);
+    };
+    polygon.onSecondAggregate = async (symbol, bar) => {
+      await orderManager.onAggregate(symbol, bar, 'second');
+    };
+    polygon.onMinuteAggregate = async (symbol, bar) => {
+      await orderManager.onAggregate(symbol, bar, 'minute');
     };
 
     // Connect to Polygon WebSocket
     polygon.connect();
 
-    logger.info('Polygon WebSocket connected.');
-    dashboard.logInfo('Polygon WebSocket connected.');
+    // Apply fills and cancels from the broker as they happen
+    broker.onOrderUpdate = (event, order) => {
+      orderManager.onOrderUpdate(event, order);
+    };
+
+    // Catch up on orders that closed while the stream was down
+    broker.onReconnect = async (disconnectedAt) => {
+      await orderManager.reconcileOrders(disconnectedAt);
+    };
+
+    broker.connect();
+
+    // Start session rules (pre-close tightening, scheduled flattens)
+    scheduler.start();
+
+    if (controlApi) {
+      controlApi.start(orderManager, dashboard);
+    }
+
+    const streamMessage =
+      broker instanceof SimulatedBroker
+        ? 'Simulated broker started. No orders are sent to Alpaca.'
+        : 'Alpaca trade updates stream started.';
+    logger.info(streamMessage);
+    dashboard.logInfo(streamMessage);
 
     logger.info('Started polling for order statuses.');
     dashboard.logInfo('Started polling for order statuses.');
 
-    // Graceful shutdown on SIGINT (Ctrl+C)
-    process.on('SIGINT', async () => {
+    // Graceful shutdown on SIGINT (Ctrl+C), SIGTERM (systemd, Docker) or the dashboard's quit keys
+    let isShuttingDown = false;
+    const shutdown = async () => {
+      if (isShuttingDown) {
+        return;
+      }
+      isShuttingDown = true;
       logger.info('Gracefully shutting down...');
       dashboard.logInfo('Gracefully shutting down...');
+      if (recorder) {
+        await recorder.close(); // Flush the recording so gzip files are complete
+      }
+      await dashboard.close();
       process.exit(0);
-    });
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+    ui.onQuit = shutdown;
   } catch (err) {
     logger.error(
       `Error initializing positions or setting up connections: ${err.message}`
@@ -0,0 +1,198 @@
+// journal.js
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { getExchangeTime } = require('./marketHours');
+
+const CSV_COLUMNS = [
+  'date',
+  'symbol',
+  'side',
+  'qty',
+  'openedAt',
+  'closedAt',
+  'holdMinutes',
+  'avgEntryPrice',
+  'avgExitPrice',
+  'realizedPnl',
+  'realizedCentsPerShare',
+  'maxFavorableCents',
+  'maxAdverseCents',
+  'scaleOuts',
+  'pyramidAdds',
+  'closeReason',
+];
+
+/**
+ * Computes the quantity-weighted average price of a list of fills.
+ */
+function averagePrice(fills) {
+  const qty = fills.reduce((total, fill) => total + fill.qty, 0);
+  const cost = fills.reduce((total, fill) => total + fill.qty * fill.price, 0);
+  return qty > 0 ? cost / qty : 0;
+}
+
+class TradeJournal {
+  constructor(trades = []) {
+    this.trades = trades; // Closed round trips, oldest first
+  }
+
+  /**
+   * Records a closed position as a round trip.
+   * @param {Object} pos - The position being removed from tracking.
+   * @param {number} closedAt - Close time in ms (defaults to now).
+   * @returns {Object} - The journal entry.
+   */
+  recordTrade(pos, closedAt = Date.now()) {
+    const direction = pos.side === 'buy' ? 1 : -1;
+    const entryFills = [...pos.entryFills, ...pos.pyramidFills];
+    const exitFills = [...pos.exitFills];
+    const avgEntryPrice = averagePrice(entryFills);
+
+    const entryQty = entryFills.reduce((total, fill) => total + fill.qty, 0);
+    const exitQty = exitFills.reduce((total, fill) => total + fill.qty, 0);
+
+    // Shares that left without one of our fills were closed outside the system
+    let closeReason = 'manual';
+    if (entryQty - exitQty > 0) {
+      exitFills.push({
+        qty: entryQty - exitQty,
+        price: pos.currentPrice,
+        time: closedAt,
+        reason: 'manual',
+        estimated: true,
+      });
+    } else if (exitFills.length > 0) {
+      closeReason = exitFills[exitFills.length - 1].reason;
+    }
+
+    const realizedPnl = exitFills.reduce(
+      (total, fill) =>
+        total + (fill.price - avgEntryPrice) * fill.qty * direction,
+      0
+    );
+    const totalExitQty = exitFills.reduce((total, fill) => total + fill.qty, 0);
+
+    const trade = {
+      date: getExchangeTime(new Date(closedAt)).dateStr,
+      symbol: pos.symbol,
+      side: pos.side,
+      qty: entryQty,
+      openedAt: new Date(pos.openedAt).toISOString(),
+      closedAt: new Date(closedAt).toISOString(),
+      holdMinutes: parseFloat(((closedAt - pos.openedAt) / 60000).toFixed(1)),
+      avgEntryPrice: parseFloat(avgEntryPrice.toFixed(4)),
+      avgExitPrice: parseFloat(averagePrice(exitFills).toFixed(4)),
+      realizedPnl: parseFloat(realizedPnl.toFixed(2)),
+      realizedCentsPerShare:
+        totalExitQty > 0
+          ? parseFloat(((realizedPnl / totalExitQty) * 100).toFixed(2))
+          : 0,
+      maxFavorableCents: pos.maxFavorableCents,
+      maxAdverseCents: pos.maxAdverseCents,
+      scaleOuts: exitFills.filter((fill) => fill.reason === 'target').length,
+      pyramidAdds: pos.pyramidFills.length,
+      closeReason,
+      entryFills: pos.entryFills,
+      pyramidFills: pos.pyramidFills,
+      exitFills,
+    };
+
+    this.trades.push(trade);
+    return trade;
+  }
+
+  /**
+   * Rolls trades up by exchange date.
+   * @returns {Array} - One summary per date, oldest first.
+   */
+  getDailySummaries() {
+    const byDate = {};
+    this.trades.forEach((trade) => {
+      if (!byDate[trade.date]) {
+        byDate[trade.date] = {
+          date: trade.date,
+          trades: 0,
+          winners: 0,
+          losers: 0,
+          realizedPnl: 0,
+          largestWin: 0,
+          largestLoss: 0,
+        };
+      }
+      const day = byDate[trade.date];
+      day.trades += 1;
+      day.realizedPnl += trade.realizedPnl;
+      if (trade.realizedPnl > 0) {
+        day.winners += 1;
+        day.largestWin = Math.max(day.largestWin, trade.realizedPnl);
+      } else if (trade.realizedPnl < 0) {
+        day.losers += 1;
+        day.largestLoss = Math.min(day.largestLoss, trade.realizedPnl);
+      }
+    });
+
+    return Object.values(byDate)
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map((day) => ({
+        ...day,
+        realizedPnl: parseFloat(day.realizedPnl.toFixed(2)),
+        winRate: parseFloat(((day.winners / day.trades) * 100).toFixed(1)),
+      }));
+  }
+
+  /**
+   * Formats the journal as CSV, one row per round trip.
+   */
+  toCsv() {
+    const escape = (value) => {
+      const text = value === undefined || value === null ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = this.trades.map((trade) =>
+      CSV_COLUMNS.map((column) => escape(trade[column])).join(',')
+    );
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+  }
+
+  /**
+   * Formats the journal and its daily rollups as JSON.
+   */
+  toJson() {
+    return JSON.stringify(
+      { trades: this.trades, daily: this.getDailySummaries() },
+      null,
+      2
+    );
+  }
+
+  /**
+   * Writes the journal to a .csv or .json file, chosen by extension.
+   */
+  exportToFile(filePath) {
+    const content =
+      path.extname(filePath).toLowerCase() === '.csv'
+        ? this.toCsv()
+        : this.toJson();
+    fs.writeFileSync(filePath, content);
+  }
+}
+
+module.exports = TradeJournal;
+
+// Usage: node journal.js [output.csv|output.json]
+// Without an output file, prints the daily rollups.
+if (require.main === module) {
+  const stateFile = path.resolve(__dirname, config.persistence.stateFile);
+  const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+  const journal = new TradeJournal(state.closedPositions || []);
+
+  const outputFile = process.argv[2];
+  if (outputFile) {
+    journal.exportToFile(outputFile);
+    console.log(`Exported ${journal.trades.length} trade(s) to ${outputFile}`);
+  } else {
+    console.table(journal.getDailySummaries());
+  }
+}
@@ -0,0 +1,86 @@
+// marketHours.js
+
+const config = require('./config');
+
+// Session boundaries in minutes since midnight, exchange time
+const PREMARKET_OPEN = 4 * 60;
+const REGULAR_OPEN = 9 * 60 + 30;
+const REGULAR_CLOSE = 16 * 60;
+const AFTER_HOURS_CLOSE = 20 * 60;
+
+let exchangeFormatter = null; // Created on first use
+
+/**
+ * Returns the wall-clock date and time in the exchange time zone.
+ * @param {Date} date - The instant to convert (defaults to now).
+ * @returns {Object} - { dateStr: 'YYYY-MM-DD', weekday, minutes } where
+ *   minutes is the number of minutes since midnight.
+ */
+function getExchangeTime(date = new Date()) {
+  // Building a formatter is slow, and this runs on every quote and trade
+  if (!exchangeFormatter) {
+    exchangeFormatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: config.timeZone,
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    });
+  }
+
+  const parts = {};
+  exchangeFormatter.formatToParts(date).forEach((part) => {
+    parts[part.type] = part.value;
+  });
+
+  return {
+    dateStr: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: parts.weekday,
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10),
+  };
+}
+
+/**
+ * Determines whether the given instant falls on a weekday.
+ * Market holidays are not considered here.
+ */
+function isWeekday(date = new Date()) {
+  const { weekday } = getExchangeTime(date);
+  return weekday !== 'Sat' && weekday !== 'Sun';
+}
+
+/**
+ * Determines whether the given instant is inside regular trading hours (9:30-16:00).
+ */
+function isRegularHours(date = new Date()) {
+  const { minutes } = getExchangeTime(date);
+  return isWeekday(date) && minutes >= REGULAR_OPEN && minutes < REGULAR_CLOSE;
+}
+
+/**
+ * Determines whether the given instant is inside the premarket (4:00-9:30)
+ * or after-hours (16:00-20:00) session.
+ */
+function isExtendedHours(date = new Date()) {
+  const { minutes } = getExchangeTime(date);
+  return (
+    isWeekday(date) &&
+    minutes >= PREMARKET_OPEN &&
+    minutes < AFTER_HOURS_CLOSE &&
+    !isRegularHours(date)
+  );
+}
+
+module.exports = {
+  PREMARKET_OPEN,
+  REGULAR_OPEN,
+  REGULAR_CLOSE,
+  AFTER_HOURS_CLOSE,
+  getExchangeTime,
+  isWeekday,
+  isRegularHours,
+  isExtendedHours,
+};
@@ -0,0 +1,181 @@
+// notifier.js
+
+const axios = require('axios');
+const Bottleneck = require('bottleneck');
+const config = require('./config');
+const logger = require('./logger');
+
+// Events that can be sent, with their message title and severity
+const EVENTS = {
+  stop_triggered: { title: 'Stop triggered', severity: 'warning' },
+  target_hit: { title: 'Profit target hit', severity: 'info' },
+  pyramid_filled: { title: 'Pyramid filled', severity: 'info' },
+  position_closed: { title: 'Position closed', severity: 'info' },
+  circuit_breaker: { title: 'Circuit breaker tripped', severity: 'error' },
+  flatten_failed: {
+    title: 'Circuit breaker flatten failed, positions still open',
+    severity: 'error',
+  },
+  feed_stale: { title: 'Quotes stale', severity: 'warning' },
+  order_rejected: { title: 'Order rejected', severity: 'error' },
+  order_cancel_failed: { title: 'Order cancel failed', severity: 'error' },
+};
+
+// Discord embed colors by severity
+const DISCORD_COLORS = { info: 0x3498db, warning: 0xf1c40f, error: 0xe74c3c };
+
+/**
+ * Builds the request body for a webhook's format.
+ * - json: the event as is
+ * - slack: an incoming webhook message ({ text })
+ * - discord: a webhook message with one embed
+ */
+function formatPayload(format, notification) {
+  const { title, message, severity, at } = notification;
+  switch (format) {
+    case 'slack':
+      return { text: `*${title}*\n${message}` };
+    case 'discord':
+      return {
+        embeds: [
+          {
+            title,
+            description: message,
+            color: DISCORD_COLORS[severity],
+            timestamp: new Date(at).toISOString(),
+          },
+        ],
+      };
+    default:
+      return notification;
+  }
+}
+
+/**
+ * Whether a failed send may succeed if tried again: network errors,
+ * timeouts, 429 and 5xx responses.
+ */
+function isRetryable(err) {
+  const status = err.response && err.response.status;
+  return !status || status === 429 || status >= 500;
+}
+
+/**
+ * Sends trading events to webhooks. Each webhook has its own rate limiter;
+ * events arriving while too many are queued are dropped, and failed sends are
+ * retried with exponential backoff. Sending never throws into the caller.
+ */
+class Notifier {
+  constructor(settings = config.notifications) {
+    this.settings = settings;
+    this.webhooks = settings.webhooks.map((webhook) => ({
+      ...webhook,
+      format: webhook.format || 'json',
+      events: new Set(webhook.events || settings.events),
+      limiter: new Bottleneck({
+        maxConcurrent: 1,
+        minTime: settings.minIntervalMs,
+        highWater: settings.maxQueued,
+        strategy: Bottleneck.strategy.OVERFLOW,
+      }),
+    }));
+  }
+
+  /**
+   * Sends an event to every webhook subscribed to it.
+   * @param {string} event - One of the EVENTS keys, e.g. 'stop_triggered'.
+   * @param {string} message - Human-readable text, usually the logged message.
+   * @param {Object} data - Event details included in JSON payloads.
+   * @returns {Promise} - Resolves once every send has finished or given up.
+   */
+  notify(event, message, data = {}) {
+    const { title, severity } = EVENTS[event];
+    const notification = {
+      event,
+      title,
+      message,
+      severity,
+      at: Date.now(),
+      data,
+    };
+
+    return Promise.all(
+      this.webhooks
+        .filter((webhook) => webhook.events.has(event))
+        .map((webhook) =>
+          webhook.limiter
+            .schedule(() =>
+              this.send(webhook, formatPayload(webhook.format, notification))
+            )
+            .catch((err) => {
+              if (err instanceof Bottleneck.BottleneckError) {
+                logger.warn(
+                  `Notification queue full for ${webhook.format} webhook. Dropped ${event}.`
+                );
+              }
+            })
+        )
+    );
+  }
+
+  /**
+   * Posts a payload to a webhook, retrying retryable failures up to
+   * maxRetries times. Errors are logged, not thrown.
+   */
+  async send(webhook, payload) {
+    const { maxRetries, retryDelayMs, timeoutMs } = this.settings;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await axios.post(webhook.url, payload, { timeout: timeoutMs });
+        return;
+      } catch (err) {
+        const status = err.response
+          ? `HTTP ${err.response.status}`
+          : err.message;
+        if (!isRetryable(err) || attempt >= maxRetries) {
+          logger.error(
+            `Failed to send ${webhook.format} notification: ${status}`
+          );
+          return;
+        }
+
+        const delay = retryDelayMs * 2 ** attempt;
+        logger.warn(
+          `Notification failed (${status}). Retrying in ${delay}ms (attempt ${
+            attempt + 1
+          }/${maxRetries}).`
+        );
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  }
+}
+
+// Usage: node notifier.js [url] [json|slack|discord]
+// Sends one sample of every event to the configured webhooks, or to the given
+// URL, e.g. a local HTTP server standing in for Slack or Discord.
+if (require.main === module) {
+  const [url, format = 'json'] = process.argv.slice(2);
+  const notifier = new Notifier({
+    ...config.notifications,
+    events: Object.keys(EVENTS),
+    webhooks: url ? [{ url, format }] : config.notifications.webhooks,
+  });
+
+  Promise.all(
+    Object.keys(EVENTS).map((event) =>
+      notifier.notify(event, `Test ${EVENTS[event].title.toLowerCase()}`, {
+        symbol: 'TEST',
+      })
+    )
+  ).then(() =>
+    console.log(
+      `Sent ${Object.keys(EVENTS).length} test event(s) to ${
+        notifier.webhooks.length
+      } webhook(s)`
+    )
+  );
+}
+
+module.exports = Notifier;
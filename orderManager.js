@@ -1,37 +1,113 @@
-const { alpaca } = require('./alpaca');
 const config = require('./config');
+const PolygonRestClient = require('./polygonRest');
+const TradeJournal = require('./journal');
 const logger = require('./logger');
+const { getExchangeTime, isRegularHours } = require('./marketHours');
 const crypto = require('crypto');
-const Bottleneck = require('bottleneck'); // Rate limiting library
+const fs = require('fs');
+const path = require('path');
+
+// Order statuses after which an order can no longer fill
+const TERMINAL_ORDER_STATUSES = [
+  'filled',
+  'canceled',
+  'expired',
+  'rejected',
+  'replaced',
+  'done_for_day',
+];
+
+// How long an update for an untracked order is held for trackOrder() to claim
+const UNTRACKED_UPDATE_TTL_MS = 60000;
+
+// Polygon bar channel each stopTrigger fires on ('quote' needs none)
+const STOP_TRIGGER_CHANNELS = { second: 'A', minute: 'AM' };
+
+// Per-position fields written to the state file so exit progress survives a restart
+const PERSISTED_POSITION_FIELDS = [
+  'side',
+  'initialQty',
+  'profitTargetsHit',
+  'pyramidLevelsHit',
+  'stopPrice',
+  'stopCents',
+  'stopDescription',
+  'stopMode',
+  'highWaterMark',
+  'atr',
+  'profitTargets',
+  'dynamicStops',
+  'exitProfile',
+  'limitOffsetCents',
+  'pyramidLevels',
+  'trailingStop',
+  'timeExits',
+  'stopTrigger',
+  'protectiveStopOrderId',
+  'protectiveStopPrice',
+  'protectiveStopQty',
+  'openedAt',
+  'entryFills',
+  'pyramidFills',
+  'exitFills',
+  'maxFavorableCents',
+  'maxAdverseCents',
+  'minStopCents',
+  'stopAdjustCents',
+  'pyramidingDisabled',
+  'unreportedEntryQty',
+];
 
 class OrderManager {
-  constructor(dashboard, polygon) {
+  constructor(dashboard, polygon, broker) {
     this.positions = {}; // symbol => position info
     this.dashboard = dashboard;
     this.polygon = polygon;
-    this.orderTracking = {}; // orderId => { symbol, type, qty, side, filledQty }
+    this.broker = broker; // Broker adapter (see broker.js)
+    this.restClient = new PolygonRestClient();
+    this.orderTracking = {}; // orderId => { symbol, type, qty, side, filledQty, filledAvgPrice }
+    this.untrackedUpdates = {}; // orderId => { event, order, receivedAt } streamed before the order was tracked
+    this.journal = new TradeJournal(); // Closed round trips, saved as closedPositions
+    this.halt = null; // { reason, date, at, flattened } while the circuit breaker is tripped
+    this.notifier = null; // Notifier for webhook alerts, if enabled
+
+    // Saved state from the previous run, merged into positions as the broker reports them.
+    // Simulated sessions keep their own file so they never touch live state.
+    this.stateFile = path.resolve(
+      __dirname,
+      config.broker === 'simulated'
+        ? config.persistence.simulatedStateFile
+        : config.persistence.stateFile
+    );
+    this.restoredPositions = {}; // symbol => persisted position fields
+
+    // Symbols whose exit levels are still being resolved in addPosition()
+    this.pendingAdds = new Set();
+
+    // HOD breakout entries
+    this.watchlist = {}; // symbol => { tier, confirmations, lastEntryTime, hodFrozenUntil, sessionDate }
+    this.realHOD = {}; // symbol => high of day the next breakout is measured from
+    this.candidateHOD = {}; // symbol => highest bid seen, promoted to realHOD when not breaking out
+
+    // Symbols without recent quotes, and their REST snapshot pollers
+    this.staleSymbols = new Set();
+    this.snapshotPollers = {}; // symbol => interval
+
+    // Last trade and session volume from the T. channel
+    this.marketData = {}; // symbol => { lastPrice, lastSize, lastTradeTime, volume, sessionDate }
 
     // Flags to prevent concurrent API calls
     this.isRefreshing = false;
+    this.refreshQueued = false; // A refresh was asked for while one was running
     this.isPolling = false;
 
-    // Initialize Alpaca rate limiter using Bottleneck
-    this.limiter = new Bottleneck({
-      minTime: 350, // Minimum time between requests in ms (approx 2.85 req/sec)
-      maxConcurrent: 1, // Ensure requests are executed sequentially
-    });
-
-    // Wrap Alpaca API calls with the rate limiter
-    this.limitedGetPositions = this.limiter.wrap(
-      alpaca.getPositions.bind(alpaca)
-    );
-    this.limitedGetOrders = this.limiter.wrap(alpaca.getOrders.bind(alpaca));
-    this.limitedCreateOrder = this.limiter.wrap(
-      alpaca.createOrder.bind(alpaca)
-    );
+    // Refuse exit settings that could leave a position without a stop
+    this.validateExitSettings();
 
-    // Initialize existing positions
+    // Load saved exit progress, then initialize existing positions
+    this.loadState();
     this.initializeExistingPositions();
+    this.initializeWatchlist();
 
     // Periodic tasks
     setInterval(
@@ -44,6 +120,9 @@ class OrderManager {
       () => this.refreshPositions(),
       config.pollingIntervals.positionRefresh
     );
+
+    // Periodically apply time-based exit rules
+    setInterval(() => this.checkTimeExits(), config.pollingIntervals.timeExits);
   }
 
   /**
@@ -53,6 +132,15 @@ class OrderManager {
     return `${prefix}-${crypto.randomBytes(8).toString('hex')}`;
   }
 
+  /**
+   * Sends an event to the notifier, if there is one. Never waits on delivery.
+   */
+  notify(event, message, data) {
+    if (this.notifier) {
+      this.notifier.notify(event, message, data);
+    }
+  }
+
   /**
    * Pauses execution for a specified duration.
    */
@@ -84,95 +172,1094 @@ class OrderManager {
     }
   }
 
-  async fetchAndSetHod(symbol) {
-    try {
-      const hod = await this.restClient.getIntradayHighFromAgg(symbol);
-      if (hod) {
-        // Ensure watchlist entry exists
-        if (!this.watchlist[symbol]) {
-          this.watchlist[symbol] = {
-            highOfDay: null,
-            candidateHOD: null,
-            tier: null,
-            lastEntryTime: null,
-            hasPosition: false,
-            hasPendingEntryOrder: false,
-            isHODFrozen: false,
-            executedPyramidLevels: [],
-            isSubscribedToTrade: false,
-          };
-        }
+  /**
+   * Loads saved exit progress and tracked orders from the state file.
+   */
+  loadState() {
+    if (!fs.existsSync(this.stateFile)) {
+      return;
+    }
+
+    try {
+      const state = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+      this.restoredPositions = state.positions || {};
+      this.orderTracking = state.orderTracking || {};
+      this.journal.trades = state.closedPositions || [];
+      this.halt = state.halt || null;
+      if (this.isHalted()) {
+        this.dashboard.setHalted(this.halt.reason);
+      }
+
+      const message = `Loaded saved state for ${
+        Object.keys(this.restoredPositions).length
+      } position(s) and ${
+        Object.keys(this.orderTracking).length
+      } tracked order(s).`;
+      logger.info(message);
+      this.dashboard.logInfo(message);
+    } catch (err) {
+      const message = `Error loading state from ${this.stateFile}: ${err.message}`;
+      logger.error(message);
+      this.dashboard.logError(message);
+    }
+  }
+
+  /**
+   * Writes exit progress and tracked orders to the state file.
+   * The state is written to a temp file and renamed over the original so a
+   * crash mid-write never leaves a truncated file behind.
+   */
+  saveState() {
+    const positions = {};
+    for (const symbol in this.positions) {
+      positions[symbol] = {};
+      PERSISTED_POSITION_FIELDS.forEach((field) => {
+        positions[symbol][field] = this.positions[symbol][field];
+      });
+    }
+
+    // Keep saved progress for positions the broker has not reported yet
+    const state = {
+      positions: { ...this.restoredPositions, ...positions },
+      orderTracking: this.orderTracking,
+      closedPositions: this.journal.trades,
+      halt: this.halt,
+    };
+
+    const tmpFile = `${this.stateFile}.tmp`;
+    try {
+      fs.writeFileSync(tmpFile, JSON.stringify(state, null, 2));
+      fs.renameSync(tmpFile, this.stateFile);
+    } catch (err) {
+      const message = `Error saving state to ${this.stateFile}: ${err.message}`;
+      logger.error(message);
+      this.dashboard.logError(message);
+    }
+  }
+
+  /**
+   * Applies saved exit progress to a newly added position, if any was saved
+   * for the same symbol and side.
+   */
+  restorePositionState(pos) {
+    const saved = this.restoredPositions[pos.symbol];
+    if (!saved) {
+      return;
+    }
+
+    delete this.restoredPositions[pos.symbol];
+
+    if (saved.side !== pos.side) {
+      const warnMessage = `Discarding saved state for ${pos.symbol}: side changed from ${saved.side} to ${pos.side}.`;
+      logger.warn(warnMessage);
+      this.dashboard.logWarning(warnMessage);
+      return;
+    }
+
+    // State saved before exit settings were validated may have lost its stop
+    // levels; keep the freshly resolved ones so the position stays protected
+    const savedStops = saved.dynamicStops || [];
+    if (!savedStops.some((stop) => stop.profitTargetsHit === 0)) {
+      delete saved.dynamicStops;
+      delete saved.stopPrice;
+      delete saved.stopCents;
+      delete saved.stopDescription;
+      const warnMessage = `Saved state for ${pos.symbol} has no initial stop. Using the ${pos.exitProfile} profile's stops.`;
+      logger.warn(warnMessage);
+      this.dashboard.logWarning(warnMessage);
+    }
+
+    PERSISTED_POSITION_FIELDS.forEach((field) => {
+      if (saved[field] !== undefined) {
+        pos[field] = saved[field];
+      }
+    });
+
+    // State saved before stop floors existed has no floor; null means none
+    if (typeof pos.minStopCents !== 'number') {
+      pos.minStopCents = null;
+    }
+
+    const stopText = Number.isFinite(pos.stopPrice)
+      ? `$${pos.stopPrice.toFixed(2)}`
+      : 'N/A';
+    const message = `Restored saved state for ${pos.symbol}: ${pos.profitTargetsHit} target(s) hit, ${pos.pyramidLevelsHit} pyramid(s) hit, stop ${stopText}.`;
+    logger.info(message);
+    this.dashboard.logInfo(message);
+  }
+
+  /**
+   * Adds the configured entry watchlist, subscribes to its quotes and seeds
+   * each symbol's high of day.
+   */
+  async initializeWatchlist() {
+    if (!config.entry.enabled) {
+      return;
+    }
+
+    for (const symbol of config.entry.watchlist) {
+      this.polygon.subscribe(symbol);
+      await this.fetchAndSetHod(symbol);
+    }
+
+    const message = `Watching ${config.entry.watchlist.length} symbol(s) for HOD breakouts.`;
+    logger.info(message);
+    this.dashboard.logInfo(message);
+  }
+
+  /**
+   * Seeds (or re-seeds) a watchlist symbol's high of day from Polygon
+   * aggregates. Live quotes keep it current from there.
+   */
+  async fetchAndSetHod(symbol) {
+    // Ensure watchlist entry exists
+    if (!this.watchlist[symbol]) {
+      this.watchlist[symbol] = {
+        tier: null,
+        confirmations: 0, // Consecutive quotes past the breakout level
+        lastEntryTime: null,
+        hodFrozenUntil: 0,
+        sessionDate: null, // Exchange date the HOD belongs to
+      };
+    }
+    this.watchlist[symbol].sessionDate = getExchangeTime().dateStr;
+    this.watchlist[symbol].confirmations = 0;
+
+    try {
+      const hod = await this.restClient.getIntradayHigh(symbol);
+      if (hod) {
+        this.realHOD[symbol] = hod;
+        this.candidateHOD[symbol] = hod;
+
+        // Assign tier to symbol based on new HOD
+        this.assignTierToSymbol(symbol, hod);
+
+        const message = `HOD set for ${symbol}: ${hod.toFixed(2)}`;
+        logger.info(message);
+        this.dashboard.logInfo(message);
+      } else {
+        const warnMessage = `No HOD data for ${symbol}, leaving as is.`;
+        logger.warn(warnMessage);
+        this.dashboard.logWarning(warnMessage);
+      }
+    } catch (err) {
+      const errorMessage = `Error fetching and setting HOD for ${symbol}: ${err.message}`;
+      logger.error(errorMessage);
+      this.dashboard.logError(errorMessage);
+    }
+  }
+
+  /**
+   * Picks the entry tier for a symbol from its high of day. Symbols outside
+   * every tier are still watched but never entered.
+   */
+  assignTierToSymbol(symbol, hod) {
+    const tier =
+      config.entry.tiers.find(
+        (t) =>
+          (t.minPrice === undefined || hod >= t.minPrice) &&
+          (t.maxPrice === undefined || hod < t.maxPrice)
+      ) || null;
+
+    if (tier !== this.watchlist[symbol].tier) {
+      this.watchlist[symbol].tier = tier;
+      if (!tier) {
+        const warnMessage = `No entry tier for ${symbol} at HOD ${hod.toFixed(
+          2
+        )}. Watching without entries.`;
+        logger.warn(warnMessage);
+        this.dashboard.logWarning(warnMessage);
+      }
+    }
+  }
+
+  /**
+   * Moves a symbol's high of day up to the highest bid seen.
+   */
+  promoteCandidateHOD(symbol) {
+    if (this.candidateHOD[symbol] > this.realHOD[symbol]) {
+      this.realHOD[symbol] = this.candidateHOD[symbol];
+      this.assignTierToSymbol(symbol, this.realHOD[symbol]);
+    }
+  }
+
+  /**
+   * Determines whether an entry order is working for the symbol.
+   */
+  hasPendingEntryOrder(symbol) {
+    return Object.values(this.orderTracking).some(
+      (tracked) => tracked.symbol === symbol && tracked.type === 'entry'
+    );
+  }
+
+  /**
+   * Tracks a watchlist symbol's high of day from its bids and enters on a
+   * confirmed break: confirmQuotes consecutive bids at least breakoutCents
+   * past HOD. New highs that fail to break out become HOD once price falls
+   * back under it. While an entry is working, and for freezeHodMs after it
+   * is placed, HOD stays frozen at the breakout level.
+   */
+  async checkForBreakout(symbol, bidPrice, askPrice) {
+    const entry = this.watchlist[symbol];
+
+    // Yesterday's high means nothing today
+    if (entry.sessionDate !== getExchangeTime().dateStr) {
+      await this.fetchAndSetHod(symbol);
+    }
+
+    const hod = this.realHOD[symbol];
+    if (!hod) {
+      return;
+    }
+
+    this.candidateHOD[symbol] = Math.max(this.candidateHOD[symbol], bidPrice);
+
+    if (
+      this.hasPendingEntryOrder(symbol) ||
+      Date.now() < entry.hodFrozenUntil
+    ) {
+      return;
+    }
+
+    // Coming out of a freeze, the next entry needs a high above the run
+    if (entry.hodFrozenUntil) {
+      entry.hodFrozenUntil = 0;
+      this.promoteCandidateHOD(symbol);
+    }
+
+    const tier = entry.tier;
+    if (!tier || this.positions[symbol]) {
+      entry.confirmations = 0;
+      this.promoteCandidateHOD(symbol);
+      return;
+    }
+
+    if (bidPrice < hod + tier.breakoutCents / 100) {
+      entry.confirmations = 0;
+      // Once price falls back under HOD, the failed high is the level to beat
+      if (bidPrice <= hod) {
+        this.promoteCandidateHOD(symbol);
+      }
+      return;
+    }
+
+    entry.confirmations += 1;
+    if (entry.confirmations < config.entry.confirmQuotes) {
+      return;
+    }
+
+    entry.confirmations = 0;
+    const message = `HOD break confirmed for ${symbol}: bid $${bidPrice.toFixed(
+      2
+    )} > HOD $${hod.toFixed(2)}`;
+    logger.info(message);
+    this.dashboard.logInfo(message);
+
+    const blockedReason = this.getEntryBlockedReason(symbol);
+    if (blockedReason) {
+      const skipMessage = `Skipping entry for ${symbol}: ${blockedReason}.`;
+      logger.info(skipMessage);
+      this.dashboard.logInfo(skipMessage);
+      this.promoteCandidateHOD(symbol);
+      return;
+    }
+
+    this.promoteCandidateHOD(symbol);
+    entry.lastEntryTime = Date.now();
+    entry.hodFrozenUntil = Date.now() + config.entry.freezeHodMs;
+    await this.placeEntryOrder(symbol, tier, askPrice);
+  }
+
+  /**
+   * Returns why a symbol can't be entered right now, or null if it can.
+   */
+  getEntryBlockedReason(symbol) {
+    const entry = this.watchlist[symbol];
+    if (this.isHalted()) {
+      return 'trading halted';
+    }
+    if (this.positions[symbol] || this.pendingAdds.has(symbol)) {
+      return 'position already open';
+    }
+    if (
+      entry.lastEntryTime &&
+      Date.now() - entry.lastEntryTime < config.entry.cooldownMs
+    ) {
+      return 'cooling down after the last entry';
+    }
+    return null;
+  }
+
+  /**
+   * Places a limit buy for a HOD breakout. Once it fills, refreshPositions()
+   * picks up the new position and exit management takes over.
+   */
+  async placeEntryOrder(symbol, tier, askPrice) {
+    const limitPrice = askPrice + tier.offsetCents / 100;
+    if (limitPrice <= 0 || isNaN(limitPrice)) {
+      const errorMessage = `Invalid limit price for ${symbol}. Cannot place entry order.`;
+      logger.error(errorMessage);
+      this.dashboard.logError(errorMessage);
+      return;
+    }
+
+    const order = {
+      symbol,
+      qty: tier.qty,
+      side: 'buy',
+      type: 'limit',
+      timeInForce: 'day',
+      limitPrice: parseFloat(limitPrice.toFixed(2)),
+      extendedHours: true,
+      clientOrderId: this.generateClientOrderId('ENTRY'),
+    };
+
+    const orderMessage = `Attempting to place entry order: ${JSON.stringify(
+      order
+    )}`;
+    logger.info(orderMessage);
+    this.dashboard.logInfo(orderMessage);
+
+    try {
+      const result = await this.retryOperation(() =>
+        this.broker.submitOrder(order)
+      );
+      const successMessage = `Placed entry order for ${tier.qty} shares of ${symbol}. Order ID: ${result.id}`;
+      logger.info(successMessage);
+      this.dashboard.logInfo(successMessage);
+
+      // Track the entry order
+      this.trackOrder(result.id, {
+        symbol,
+        type: 'entry',
+        reason: 'entry',
+        qty: order.qty,
+        side: order.side,
+        filledQty: 0,
+        placedAt: Date.now(),
+        chaseAttempts: 0,
+      });
+    } catch (err) {
+      const errorMessage = `Error placing entry order for ${symbol}: ${err.message}`;
+      logger.error(errorMessage);
+      this.dashboard.logError(errorMessage);
+    }
+  }
+
+  /**
+   * Initializes existing positions by fetching them from the broker and adding to tracking.
+   */
+  async initializeExistingPositions() {
+    try {
+      const positions = await this.retryOperation(() =>
+        this.broker.getPositions()
+      );
+      for (const position of positions) {
+        await this.addPosition(position);
+      }
+
+      // Saved state for positions that closed while we were down is stale
+      this.restoredPositions = {};
+      for (const orderId in this.orderTracking) {
+        const trackedOrder = this.orderTracking[orderId];
+        if (
+          !this.positions[trackedOrder.symbol] &&
+          trackedOrder.type !== 'entry'
+        ) {
+          delete this.orderTracking[orderId];
+
+          // Don't leave a broker stop behind for a position that's gone
+          if (trackedOrder.type === 'protective') {
+            await this.cancelProtectiveStop({
+              symbol: trackedOrder.symbol,
+              protectiveStopOrderId: orderId,
+            });
+          }
+        }
+      }
+      this.saveState();
+
+      // Update the dashboard with the loaded positions
+      this.dashboard.updatePositions(Object.values(this.positions));
+
+      // No need to update summary here since updatePositions handles it
+    } catch (err) {
+      const message = `Error initializing existing positions: ${err.message}`;
+      logger.error(message);
+      this.dashboard.logError(message);
+    }
+  }
+
+  /**
+   * Checks the default exit settings and every exit profile for stops that
+   * could fail to resolve: each needs a dynamic stop at 0 targets hit, and
+   * every ATR stop level a stopCents or stopPercent fallback for when ATR is
+   * unavailable. Throws listing every problem found.
+   */
+  validateExitSettings() {
+    const profiles = { default: config.orderSettings };
+    Object.keys(config.exitProfiles).forEach((name) => {
+      profiles[name] = {
+        ...config.orderSettings,
+        ...config.exitProfiles[name],
+      };
+    });
+
+    const problems = [];
+    Object.keys(profiles).forEach((name) => {
+      const dynamicStops = profiles[name].dynamicStops || [];
+      if (!dynamicStops.some((stop) => stop.profitTargetsHit === 0)) {
+        problems.push(`"${name}" has no dynamic stop at 0 targets hit`);
+      }
+      dynamicStops.forEach((stop) => {
+        if (stop.stopCents === undefined && stop.stopPercent === undefined) {
+          problems.push(
+            `"${name}" stop after ${
+              stop.profitTargetsHit
+            } target(s) needs stopCents or stopPercent${
+              stop.stopAtr !== undefined ? ' as a fallback for stopAtr' : ''
+            }`
+          );
+        }
+      });
+    });
+
+    if (problems.length > 0) {
+      const errorMessage = `Invalid exit settings: ${problems.join('; ')}.`;
+      logger.error(errorMessage);
+      throw new Error(errorMessage);
+    }
+  }
+
+  /**
+   * Calculates the dynamic stop price based on the number of profit targets hit.
+   * Returns null if no stop level applies.
+   */
+  calculateDynamicStopPrice(
+    profitTargetsHit,
+    avgEntryPrice,
+    side,
+    stops = config.orderSettings.dynamicStops
+  ) {
+    // Find the dynamic stop configurations with profitTargetsHit less than or equal to the current
+    const dynamicStops = stops
+      .filter((ds) => ds.profitTargetsHit <= profitTargetsHit)
+      .sort((a, b) => b.profitTargetsHit - a.profitTargetsHit); // Sort descending
+
+    // validateExitSettings() guarantees a level at 0 targets hit, so this only
+    // comes up for positions restored from older state
+    if (dynamicStops.length === 0) {
+      return null;
+    }
+
+    const dynamicStop = dynamicStops[0]; // Get the highest profitTargetsHit <= current
+    const stopCents = dynamicStop.stopCents;
+    const stopPrice =
+      avgEntryPrice + (stopCents / 100) * (side === 'buy' ? 1 : -1);
+    return { stopPrice, stopCents };
+  }
+
+  /**
+   * Calculates the trailing stop price from the position's high-water mark.
+   * Returns null until the configured number of profit targets has been hit.
+   */
+  calculateTrailingStopPrice(pos) {
+    const trailingStop = pos.trailingStop;
+    if (
+      !trailingStop ||
+      !trailingStop.enabled ||
+      pos.profitTargetsHit < trailingStop.activateAfterTargets ||
+      !pos.highWaterMark
+    ) {
+      return null;
+    }
+
+    // Percentage trails are measured from the high-water mark, not the entry
+    const trailCents = trailingStop.trailPercent
+      ? pos.highWaterMark * trailingStop.trailPercent
+      : trailingStop.trailCents;
+    const stopPrice =
+      pos.highWaterMark -
+      ((trailCents - (pos.stopAdjustCents || 0)) / 100) *
+        (pos.side === 'buy' ? 1 : -1);
+    return { stopPrice, trailCents };
+  }
+
+  /**
+   * Tightens the position's stop to the trailing stop when it is active and
+   * tighter than the current stop. The trailing stop never loosens.
+   * Returns true if the stop price was moved.
+   */
+  applyTrailingStop(pos) {
+    const trailingStop = this.calculateTrailingStopPrice(pos);
+    if (!trailingStop) {
+      return false;
+    }
+
+    pos.trailCents = trailingStop.trailCents;
+
+    const isTighter =
+      pos.side === 'buy'
+        ? trailingStop.stopPrice > pos.stopPrice
+        : trailingStop.stopPrice < pos.stopPrice;
+    if (!isTighter) {
+      return false;
+    }
+
+    pos.stopMode = 'trailing';
+    pos.stopPrice = trailingStop.stopPrice;
+    pos.stopCents = parseFloat(
+      (
+        (pos.stopPrice - pos.avgEntryPrice) *
+        100 *
+        (pos.side === 'buy' ? 1 : -1)
+      ).toFixed(2)
+    );
+    pos.stopDescription = `Trailing ${trailingStop.trailCents.toFixed(
+      2
+    )}¢ from high-water mark $${pos.highWaterMark.toFixed(2)}`;
+    return true;
+  }
+
+  /**
+   * Converts a target or stop level to cents. Levels may be given as
+   * `<key>Atr` (multiples of ATR), `<key>Percent` (percent of entry) or
+   * `<key>Cents`; the later forms act as fallbacks when ATR is unavailable.
+   * Returns null if the level cannot be resolved.
+   */
+  resolveLevelCents(level, key, avgEntryPrice, atr) {
+    let cents = null;
+    if (level[`${key}Atr`] !== undefined && atr) {
+      cents = level[`${key}Atr`] * atr * 100;
+    } else if (level[`${key}Percent`] !== undefined) {
+      cents = avgEntryPrice * level[`${key}Percent`];
+    } else if (level[`${key}Cents`] !== undefined) {
+      cents = level[`${key}Cents`];
+    }
+    return cents === null ? null : parseFloat(cents.toFixed(2));
+  }
+
+  /**
+   * Looks up the tag of the filled order that opened a position. The tag is the
+   * client order ID prefix before the first '-', as in generateClientOrderId().
+   */
+  async getOpeningOrderTag(symbol, side) {
+    try {
+      const orders = await this.retryOperation(() =>
+        this.broker.getOrders({
+          status: 'closed',
+          symbols: [symbol],
+          direction: 'desc',
+          limit: 50,
+        })
+      );
+      const openingOrder = orders.find(
+        (order) =>
+          order.symbol === symbol && order.side === side && order.filledQty > 0
+      );
+      return openingOrder && openingOrder.clientOrderId
+        ? openingOrder.clientOrderId.split('-')[0]
+        : null;
+    } catch (err) {
+      const errorMessage = `Error fetching opening order for ${symbol}: ${err.message}`;
+      logger.error(errorMessage);
+      this.dashboard.logError(errorMessage);
+      return null;
+    }
+  }
+
+  /**
+   * Picks the exit profile for a position: order tag first, then exact symbol,
+   * then entry-price tier, falling back to the base orderSettings.
+   * Returns the profile name and its settings merged over orderSettings.
+   */
+  selectExitProfile(symbol, avgEntryPrice, tag) {
+    const { exitProfiles, profileAssignment } = config;
+
+    const tier = profileAssignment.priceTiers.find(
+      (t) =>
+        avgEntryPrice >= (t.minPrice || 0) &&
+        (t.maxPrice === undefined || avgEntryPrice < t.maxPrice)
+    );
+    const candidates = [
+      tag ? profileAssignment.tags[tag] : null,
+      profileAssignment.symbols[symbol],
+      tier ? tier.profile : null,
+    ];
+
+    for (const name of candidates) {
+      if (!name) {
+        continue;
+      }
+      if (!exitProfiles[name]) {
+        const warnMessage = `Exit profile "${name}" for ${symbol} is not defined. Skipping it.`;
+        logger.warn(warnMessage);
+        this.dashboard.logWarning(warnMessage);
+        continue;
+      }
+      return {
+        name,
+        settings: { ...config.orderSettings, ...exitProfiles[name] },
+      };
+    }
+
+    return { name: 'default', settings: { ...config.orderSettings } };
+  }
+
+  /**
+   * Resolves a profile's profit targets and dynamic stops to cents for a
+   * position, fetching ATR from Polygon only when a level needs it.
+   */
+  async resolveExitLevels(symbol, avgEntryPrice, settings) {
+    const { profitTargets, dynamicStops, atr: atrSettings } = settings;
+
+    let atr = null;
+    const usesAtr = [...profitTargets, ...dynamicStops].some(
+      (level) => level.targetAtr !== undefined || level.stopAtr !== undefined
+    );
+    if (usesAtr) {
+      try {
+        atr = await this.restClient.getAverageTrueRange(
+          symbol,
+          atrSettings.timespan,
+          atrSettings.period
+        );
+      } catch (err) {
+        const errorMessage = `Error fetching ATR for ${symbol}: ${err.message}`;
+        logger.error(errorMessage);
+        this.dashboard.logError(errorMessage);
+      }
+      if (!atr) {
+        const warnMessage = `ATR unavailable for ${symbol}. Falling back to percent/cent targets and stops.`;
+        logger.warn(warnMessage);
+        this.dashboard.logWarning(warnMessage);
+      }
+    }
+
+    const resolvedTargets = [];
+    profitTargets.forEach((target, index) => {
+      const targetCents = this.resolveLevelCents(
+        target,
+        'target',
+        avgEntryPrice,
+        atr
+      );
+      if (targetCents === null) {
+        const errorMessage = `Cannot resolve profit target ${
+          index + 1
+        } for ${symbol}. Skipping it.`;
+        logger.error(errorMessage);
+        this.dashboard.logError(errorMessage);
+        return;
+      }
+      resolvedTargets.push({
+        targetCents,
+        percentToClose: target.percentToClose,
+      });
+    });
+
+    const resolvedStops = [];
+    dynamicStops.forEach((stop) => {
+      const stopCents = this.resolveLevelCents(
+        stop,
+        'stop',
+        avgEntryPrice,
+        atr
+      );
+      if (stop.stopAtr !== undefined && !atr && stopCents !== null) {
+        const warnMessage = `Using fallback stop ${stopCents}¢ after ${stop.profitTargetsHit} target(s) for ${symbol} in place of ${stop.stopAtr} ATR.`;
+        logger.warn(warnMessage);
+        this.dashboard.logWarning(warnMessage);
+      }
+      if (stopCents === null) {
+        const errorMessage = `Cannot resolve dynamic stop after ${stop.profitTargetsHit} target(s) for ${symbol}. Skipping it.`;
+        logger.error(errorMessage);
+        this.dashboard.logError(errorMessage);
+        return;
+      }
+      resolvedStops.push({
+        profitTargetsHit: stop.profitTargetsHit,
+        stopCents,
+      });
+    });
+
+    return { atr, profitTargets: resolvedTargets, dynamicStops: resolvedStops };
+  }
+
+  /**
+   * Raises the position's stop to its stop floor (minStopCents from avg price),
+   * set by rules such as the pre-close breakeven tightening.
+   * Returns true if the stop price was moved.
+   */
+  applyStopFloor(pos) {
+    if (pos.minStopCents === null) {
+      return false;
+    }
+
+    const floorPrice =
+      pos.avgEntryPrice +
+      (pos.minStopCents / 100) * (pos.side === 'buy' ? 1 : -1);
+    const isTighter =
+      pos.side === 'buy'
+        ? floorPrice > pos.stopPrice
+        : floorPrice < pos.stopPrice;
+    if (!isTighter) {
+      return false;
+    }
+
+    pos.stopMode = 'fixed';
+    pos.stopPrice = floorPrice;
+    pos.stopCents = pos.minStopCents;
+    pos.stopDescription = `Stop floor ${pos.minStopCents}¢ ${
+      pos.minStopCents > 0 ? 'above' : pos.minStopCents < 0 ? 'below' : 'at'
+    } avg price`;
+    return true;
+  }
+
+  /**
+   * Recomputes the position's stop from its dynamic stops, then tightens it to
+   * the stop floor and trailing stop where those are tighter. Manual nudges
+   * (stopAdjustCents) shift the dynamic and trailing stops alike.
+   */
+  recalculateStop(pos) {
+    const dynamicStop = this.calculateDynamicStopPrice(
+      pos.profitTargetsHit,
+      pos.avgEntryPrice,
+      pos.side,
+      pos.dynamicStops
+    );
+    if (!dynamicStop) {
+      return;
+    }
+    pos.stopCents = dynamicStop.stopCents + (pos.stopAdjustCents || 0);
+    pos.stopPrice =
+      pos.avgEntryPrice + (pos.stopCents / 100) * (pos.side === 'buy' ? 1 : -1);
+    pos.stopDescription = `Stop ${pos.stopCents}¢ ${
+      pos.stopCents > 0 ? 'above' : pos.stopCents < 0 ? 'below' : 'at'
+    } avg price`;
+    pos.stopMode = 'fixed';
+
+    this.applyStopFloor(pos);
+    this.applyTrailingStop(pos);
+  }
+
+  /**
+   * Tightens every position's stop to at least the given cents from its avg
+   * price (0 for breakeven). The floor holds until the position closes.
+   */
+  async tightenAllStops(minStopCents, reason) {
+    for (const pos of Object.values(this.positions)) {
+      await this.tightenStop(pos, minStopCents, reason);
+    }
+
+    this.saveState();
+    this.dashboard.updatePositions(Object.values(this.positions));
+  }
+
+  /**
+   * Raises one position's stop floor to at least the given cents from its
+   * avg price and moves the stop there if that is tighter.
+   */
+  async tightenStop(pos, minStopCents, reason) {
+    if (pos.minStopCents === null || pos.minStopCents < minStopCents) {
+      pos.minStopCents = minStopCents;
+    }
+    if (this.applyStopFloor(pos)) {
+      const message = `Tightened stop for ${
+        pos.symbol
+      } to $${pos.stopPrice.toFixed(2)} (${reason}).`;
+      logger.info(message);
+      this.dashboard.logInfo(message);
+      await this.syncProtectiveStop(pos);
+    }
+  }
+
+  /**
+   * Cancels pending pyramid orders on every position and stops new ones.
+   */
+  async cancelAllPyramidOrders() {
+    for (const symbol of Object.keys(this.positions)) {
+      await this.disablePyramiding(symbol);
+    }
+  }
+
+  /**
+   * Stops further pyramid adds on a position and cancels pending ones.
+   */
+  async disablePyramiding(symbol) {
+    const pos = this.positions[symbol];
+    if (!pos) {
+      return;
+    }
+
+    pos.pyramidingDisabled = true;
+    await this.cancelTrackedOrders(symbol, ['pyramid']);
+    this.saveState();
+    this.dashboard.updatePositions(Object.values(this.positions));
+  }
+
+  /**
+   * Lets a position pyramid again after disablePyramiding().
+   */
+  enablePyramiding(symbol) {
+    const pos = this.positions[symbol];
+    if (!pos) {
+      return;
+    }
+
+    pos.pyramidingDisabled = false;
+    this.saveState();
+    this.dashboard.updatePositions(Object.values(this.positions));
+  }
+
+  /**
+   * Closes a percentage of a position's remaining shares with a limit order,
+   * net of exits already working.
+   */
+  async closePercent(symbol, percent) {
+    const pos = this.positions[symbol];
+    if (!pos || pos.stopTriggered) {
+      return;
+    }
+
+    const qtyToClose = Math.min(
+      Math.floor(pos.qty * (percent / 100)),
+      pos.qty - this.getPendingExitQty(symbol)
+    );
+    if (qtyToClose <= 0) {
+      const warnMessage = `Nothing to close for ${symbol} at ${percent}% of ${pos.qty} shares.`;
+      logger.warn(warnMessage);
+      this.dashboard.logWarning(warnMessage);
+      return;
+    }
+
+    await this.cancelProtectiveStop(pos);
+    await this.placeIOCOrder(
+      symbol,
+      qtyToClose,
+      pos.side === 'buy' ? 'sell' : 'buy',
+      'partial'
+    );
+    await this.syncProtectiveStop(pos);
+  }
+
+  /**
+   * Moves a position's stop to its avg price, if that is tighter.
+   */
+  async moveStopToBreakeven(symbol) {
+    const pos = this.positions[symbol];
+    if (!pos) {
+      return;
+    }
+
+    await this.tightenStop(pos, 0, 'breakeven');
+    this.saveState();
+    this.dashboard.updatePositions(Object.values(this.positions));
+  }
+
+  /**
+   * Moves a position's stop by the given cents in price terms (positive is up).
+   * The nudge carries through later stop changes until the position closes.
+   */
+  async nudgeStop(symbol, cents) {
+    const pos = this.positions[symbol];
+    if (!pos) {
+      return;
+    }
+
+    // Positive adjustments tighten the stop on either side
+    const adjustCents = cents * (pos.side === 'buy' ? 1 : -1);
+    pos.stopAdjustCents = (pos.stopAdjustCents || 0) + adjustCents;
+    if (pos.minStopCents !== null) {
+      pos.minStopCents += adjustCents;
+    }
+    this.recalculateStop(pos);
+
+    const message = `Nudged stop for ${symbol} ${
+      cents > 0 ? 'up' : 'down'
+    } ${Math.abs(cents)}¢ to $${pos.stopPrice.toFixed(2)}.`;
+    logger.info(message);
+    this.dashboard.logInfo(message);
+
+    this.saveState();
+    this.dashboard.updatePositions(Object.values(this.positions));
+    await this.syncProtectiveStop(pos);
+  }
+
+  /**
+   * Moves a position's stop to the given price by nudging it the difference,
+   * so the move carries through later stop changes like any other nudge.
+   */
+  async moveStop(symbol, price) {
+    const pos = this.positions[symbol];
+    if (!pos || !pos.stopPrice) {
+      return;
+    }
+
+    const cents = Math.round((price - pos.stopPrice) * 100);
+    if (cents !== 0) {
+      await this.nudgeStop(symbol, cents);
+    }
+  }
+
+  /**
+   * Drops a position's next profit target so the one after it is next.
+   * Dynamic stops still key off the number of targets actually hit.
+   */
+  skipNextTarget(symbol) {
+    const pos = this.positions[symbol];
+    if (!pos || pos.profitTargetsHit >= pos.profitTargets.length) {
+      return;
+    }
+
+    const [skipped] = pos.profitTargets.splice(pos.profitTargetsHit, 1);
+    pos.totalProfitTargets = pos.profitTargets.length;
+
+    const message = `Skipped +${skipped.targetCents}¢ target for ${symbol}.`;
+    logger.info(message);
+    this.dashboard.logInfo(message);
+
+    this.saveState();
+    this.dashboard.updatePositions(Object.values(this.positions));
+  }
+
+  /**
+   * Cancels every working order tracked for a position. Once a canceled
+   * closing order is confirmed, stop monitoring resumes.
+   */
+  async cancelWorkingOrders(symbol) {
+    const pos = this.positions[symbol];
+    if (!pos) {
+      return;
+    }
+
+    Object.values(this.orderTracking).forEach((tracked) => {
+      if (tracked.symbol === symbol && tracked.type === 'close') {
+        tracked.resumeStopOnCancel = true;
+      }
+    });
+    await this.cancelTrackedOrders(symbol);
+    this.saveState();
+  }
+
+  /**
+   * Lists the position's time-based exit rules that have yet to apply,
+   * soonest first. Times are measured from openedAt.
+   * @returns {Array} - [{ action: 'close'|'tighten', reason, label, at }]
+   */
+  getPendingTimeRules(pos) {
+    const rules = pos.timeExits;
+    if (!rules || !pos.openedAt) {
+      return [];
+    }
 
-        this.watchlist[symbol].highOfDay = hod;
-        this.realHOD[symbol] = hod;
-        this.candidateHOD[symbol] = hod;
+    const minutesAfterOpen = (minutes) => pos.openedAt + minutes * 60000;
+    const pending = [];
 
-        // Assign tier to symbol based on new HOD
-        this.assignTierToSymbol(symbol, hod);
+    if (rules.maxHoldMinutes !== null && rules.maxHoldMinutes !== undefined) {
+      pending.push({
+        action: 'close',
+        reason: 'max_hold',
+        label: 'max hold',
+        at: minutesAfterOpen(rules.maxHoldMinutes),
+      });
+    }
 
-        this.dashboard.logInfo(
-          `HOD re-fetched and set for ${symbol}: ${hod.toFixed(2)}`
-        );
-      } else {
-        this.dashboard.logWarning(
-          `No new HOD data for ${symbol}, leaving as is.`
-        );
-      }
+    if (
+      rules.firstTargetWithinMinutes !== null &&
+      rules.firstTargetWithinMinutes !== undefined &&
+      pos.profitTargetsHit === 0
+    ) {
+      pending.push({
+        action: 'close',
+        reason: 'no_first_target',
+        label: '1st target',
+        at: minutesAfterOpen(rules.firstTargetWithinMinutes),
+      });
+    }
 
-      // Optionally refresh positions if you need up-to-date info after resetting HOD
-      await this.refreshPositions();
-    } catch (err) {
-      this.dashboard.logError(
-        `Error fetching and setting HOD for ${symbol}: ${err.message}`
-      );
+    // Already applied once the stop floor is at least this tight
+    if (
+      rules.tightenAfterMinutes !== null &&
+      rules.tightenAfterMinutes !== undefined &&
+      (pos.minStopCents === null || pos.minStopCents < rules.tightenStopCents)
+    ) {
+      pending.push({
+        action: 'tighten',
+        reason: 'time_tighten',
+        label: `stop ${rules.tightenStopCents}¢`,
+        at: minutesAfterOpen(rules.tightenAfterMinutes),
+      });
     }
+
+    return pending.sort((a, b) => a.at - b.at);
   }
 
   /**
-   * Initializes existing positions by fetching them from Alpaca and adding to tracking.
+   * Applies any time-based exit rules that are due: closes positions past
+   * their max hold or first-target deadline and tightens stops that have
+   * been open long enough. Records the next pending rule for the dashboard.
    */
-  async initializeExistingPositions() {
-    try {
-      const positions = await this.retryOperation(() =>
-        this.limitedGetPositions()
-      );
-      for (const position of positions) {
-        await this.addPosition(position);
+  async checkTimeExits() {
+    const now = Date.now();
+    for (const symbol of Object.keys(this.positions)) {
+      const pos = this.positions[symbol];
+      if (!pos || pos.stopTriggered) {
+        continue;
       }
 
-      // Update the dashboard with the loaded positions
-      this.dashboard.updatePositions(Object.values(this.positions));
+      const pending = this.getPendingTimeRules(pos);
+      const due = pending.filter((rule) => rule.at <= now);
 
-      // No need to update summary here since updatePositions handles it
-    } catch (err) {
-      const message = `Error initializing existing positions: ${err.message}`;
-      logger.error(message);
-      this.dashboard.logError(message);
+      const closeRule = due.find((rule) => rule.action === 'close');
+      if (closeRule) {
+        const holdMinutes = ((now - pos.openedAt) / 60000).toFixed(1);
+        const message = `Time exit for ${symbol} after ${holdMinutes} min (${closeRule.label}). Closing position.`;
+        logger.warn(message);
+        this.dashboard.logWarning(message);
+        pos.nextTimeRule = null;
+        await this.exitPosition(symbol, closeRule.reason);
+        continue;
+      }
+
+      if (due.some((rule) => rule.action === 'tighten')) {
+        pos.minStopCents = pos.timeExits.tightenStopCents;
+        if (this.applyStopFloor(pos)) {
+          const message = `Tightened stop for ${symbol} to $${pos.stopPrice.toFixed(
+            2
+          )} after ${pos.timeExits.tightenAfterMinutes} min.`;
+          logger.info(message);
+          this.dashboard.logInfo(message);
+          await this.syncProtectiveStop(pos);
+        }
+        this.saveState();
+      }
+
+      pos.nextTimeRule = pending.find((rule) => rule.at > now) || null;
     }
   }
 
   /**
-   * Calculates the dynamic stop price based on the number of profit targets hit.
+   * How much of a new position's qty may come from fills its open entry
+   * orders haven't reported yet. Those fills are already in the seeded
+   * entryFills, so applyFill() must not record them again.
    */
-  calculateDynamicStopPrice(profitTargetsHit, avgEntryPrice, side) {
-    // Find the dynamic stop configurations with profitTargetsHit less than or equal to the current
-    const dynamicStops = config.orderSettings.dynamicStops
-      .filter((ds) => ds.profitTargetsHit <= profitTargetsHit)
-      .sort((a, b) => b.profitTargetsHit - a.profitTargetsHit); // Sort descending
-
-    if (dynamicStops.length > 0) {
-      const dynamicStop = dynamicStops[0]; // Get the highest profitTargetsHit <= current
-      const stopCents = dynamicStop.stopCents;
-      const stopPrice =
-        avgEntryPrice + (stopCents / 100) * (side === 'buy' ? 1 : -1);
-      return { stopPrice, stopCents };
-    } else {
-      // If no dynamic stop configured, return initial stop loss
-      const stopLossCents = config.orderSettings.stopLossCents;
-      const stopPrice =
-        avgEntryPrice - (stopLossCents / 100) * (side === 'buy' ? 1 : -1);
-      return { stopPrice, stopCents: -stopLossCents };
-    }
+  getUnreportedEntryQty(symbol, side, qty) {
+    const entryOrders = Object.values(this.orderTracking).filter(
+      (tracked) =>
+        tracked.type === 'entry' &&
+        tracked.symbol === symbol &&
+        tracked.side === side
+    );
+    const reportedQty = entryOrders.reduce(
+      (sum, tracked) => sum + (tracked.filledQty || 0),
+      0
+    );
+    const openQty = entryOrders.reduce(
+      (sum, tracked) => sum + tracked.qty - (tracked.filledQty || 0),
+      0
+    );
+    return Math.max(0, Math.min(openQty, qty - reportedQty));
   }
 
   /**
@@ -180,12 +1267,41 @@ class OrderManager {
    */
   async addPosition(position) {
     const symbol = position.symbol;
-    const qty = Math.abs(parseFloat(position.qty)); // Ensure qty is positive
+    const qty = position.qty;
     const side = position.side === 'long' ? 'buy' : 'sell';
-    const avgEntryPrice = parseFloat(position.avg_entry_price);
+    const avgEntryPrice = position.avgEntryPrice;
+
+    // Skip if an earlier call is still resolving this symbol's levels
+    if (this.pendingAdds.has(symbol)) {
+      return;
+    }
+
+    this.pendingAdds.add(symbol);
+    let profile;
+    let exitLevels;
+    try {
+      // Snapshot the profile so config changes don't affect open trades
+      const tag =
+        Object.keys(config.profileAssignment.tags).length > 0
+          ? await this.getOpeningOrderTag(symbol, side)
+          : null;
+      profile = this.selectExitProfile(symbol, avgEntryPrice, tag);
+      exitLevels = await this.resolveExitLevels(
+        symbol,
+        avgEntryPrice,
+        profile.settings
+      );
+    } finally {
+      this.pendingAdds.delete(symbol);
+    }
 
     // Get initial stop price and stop cents
-    const dynamicStop = this.calculateDynamicStopPrice(0, avgEntryPrice, side);
+    const dynamicStop = this.calculateDynamicStopPrice(
+      0,
+      avgEntryPrice,
+      side,
+      exitLevels.dynamicStops
+    );
     const stopPrice = dynamicStop ? dynamicStop.stopPrice : null;
     const stopCents = dynamicStop ? dynamicStop.stopCents : null;
     const stopDescription = dynamicStop
@@ -200,31 +1316,81 @@ class OrderManager {
       initialQty: qty,
       side,
       avgEntryPrice,
-      currentBid: parseFloat(position.current_price) - 0.01, // Approximation
-      currentAsk: parseFloat(position.current_price) + 0.01, // Approximation
-      currentPrice: parseFloat(position.current_price),
+      currentBid: position.currentPrice - 0.01, // Approximation
+      currentAsk: position.currentPrice + 0.01, // Approximation
+      currentPrice: position.currentPrice,
       profitCents: 0, // Initialize profit
+      exitProfile: profile.name,
+      limitOffsetCents: profile.settings.limitOffsetCents,
+      pyramidLevels: profile.settings.pyramidLevels,
+      trailingStop: profile.settings.trailingStop,
+      timeExits: profile.settings.timeExits,
+      stopTrigger: profile.settings.stopTrigger || 'quote',
+      atr: exitLevels.atr,
+      profitTargets: exitLevels.profitTargets, // Resolved to cents for this position
+      dynamicStops: exitLevels.dynamicStops, // Resolved to cents for this position
       profitTargetsHit: 0,
-      totalProfitTargets: config.orderSettings.profitTargets.length,
+      totalProfitTargets: exitLevels.profitTargets.length,
       isActive: true,
       isProcessing: false,
       stopPrice: stopPrice,
       stopCents: stopCents,
       stopDescription: stopDescription,
+      stopMode: 'fixed', // 'fixed' (dynamicStops) or 'trailing'
+      stopAdjustCents: 0, // Manual nudges from the dashboard, + is tighter
+      highWaterMark: position.currentPrice, // Best bid (long) or ask (short) since entry
+      trailCents: null,
+      openedAt: Date.now(), // When this position was first seen
+      entryFills: [
+        {
+          qty,
+          price: avgEntryPrice,
+          time: Date.now(),
+          reason: 'entry',
+        },
+      ],
+      // Shares in the entryFills seed that open entry orders haven't reported yet
+      unreportedEntryQty: this.getUnreportedEntryQty(symbol, side, qty),
+      pyramidFills: [],
+      exitFills: [],
+      maxFavorableCents: 0, // Best unrealized profit seen, in cents per share
+      maxAdverseCents: 0, // Worst unrealized loss seen, in cents per share
+      minStopCents: null, // Stop floor from avg price, set by tightening rules
+      pyramidingDisabled: false,
+      protectiveStopOrderId: null, // Broker-side backstop stop order, if any
+      protectiveStopPrice: null,
+      protectiveStopQty: 0,
       stopTriggered: false,
       pyramidLevelsHit: 0,
-      totalPyramidLevels: config.orderSettings.pyramidLevels.length,
+      totalPyramidLevels: profile.settings.pyramidLevels.length,
     };
 
-    const message = `Position added: ${symbol} | Qty: ${qty} | Avg Entry: $${avgEntryPrice}`;
+    this.restorePositionState(this.positions[symbol]);
+    this.positions[symbol].totalProfitTargets =
+      this.positions[symbol].profitTargets.length;
+    this.positions[symbol].totalPyramidLevels =
+      this.positions[symbol].pyramidLevels.length;
+    this.recalculateStop(this.positions[symbol]);
+    this.saveState();
+
+    const message = `Position added: ${symbol} | Qty: ${qty} | Avg Entry: $${avgEntryPrice} | Profile: ${this.positions[symbol].exitProfile}`;
     logger.info(message);
     this.dashboard.logInfo(message);
 
-    // Subscribe to Polygon quotes for the symbol
-    this.polygon.subscribe(symbol);
+    // Subscribe to Polygon quotes for the symbol, plus the bars its stop fires
+    // on, remembering what this position added so removal can release it
+    const addedChannels = this.polygon.subscribe(symbol);
+    const stopChannel =
+      STOP_TRIGGER_CHANNELS[this.positions[symbol].stopTrigger];
+    if (stopChannel) {
+      addedChannels.push(...this.polygon.subscribe(symbol, [stopChannel]));
+    }
+    this.positions[symbol].subscribedChannels = addedChannels;
 
     // Update dashboard positions
     this.dashboard.updatePositions(Object.values(this.positions));
+
+    await this.syncProtectiveStop(this.positions[symbol]);
   }
 
   /**
@@ -232,23 +1398,239 @@ class OrderManager {
    */
   removePosition(symbol) {
     if (this.positions[symbol]) {
+      // A leftover broker stop would open a new position if it triggered
+      const stopOrderId = this.positions[symbol].protectiveStopOrderId;
+      const reportLeftoverStop = (reason) => {
+        const errorMessage = `Broker stop ${stopOrderId} for ${symbol} may still be working after the position closed (${reason}). Cancel it at the broker.`;
+        logger.error(errorMessage);
+        this.dashboard.logError(errorMessage);
+        this.notify('order_cancel_failed', errorMessage, {
+          symbol,
+          orderId: stopOrderId,
+        });
+      };
+      this.cancelProtectiveStop(this.positions[symbol])
+        .then((canceled) => {
+          if (!canceled) {
+            reportLeftoverStop('cancel failed');
+          }
+        })
+        .catch((err) => reportLeftoverStop(err.message));
+
+      const trade = this.journal.recordTrade(this.positions[symbol]);
+      const tradeMessage = `Trade closed: ${symbol} | ${
+        trade.closeReason
+      } | P&L: $${trade.realizedPnl.toFixed(2)} (${
+        trade.realizedCentsPerShare
+      }¢/sh) | Held ${trade.holdMinutes} min`;
+      logger.info(tradeMessage);
+      this.dashboard.logInfo(tradeMessage);
+      this.notify('position_closed', tradeMessage, trade);
+
+      const subscribedChannels =
+        this.positions[symbol].subscribedChannels || [];
       delete this.positions[symbol];
       const message = `Position removed: ${symbol}`;
       logger.info(message);
       this.dashboard.logInfo(message);
 
-      // Unsubscribe from Polygon quotes as the position is removed
-      this.polygon.unsubscribe(symbol);
+      // Unsubscribe from Polygon as the position is removed. Watchlist symbols
+      // keep their configured channels for the next breakout and only drop the
+      // extra ones the position added, such as its stop trigger's bars.
+      if (!this.watchlist[symbol]) {
+        this.polygon.unsubscribe(symbol);
+        this.clearStaleSymbol(symbol);
+      } else {
+        const watchChannels = this.polygon.getChannels(symbol);
+        const extraChannels = subscribedChannels.filter(
+          (channel) => !watchChannels.includes(channel)
+        );
+        if (extraChannels.length > 0) {
+          this.polygon.unsubscribe(symbol, extraChannels);
+        }
+      }
+
+      this.saveState();
 
       // Update dashboard positions
       this.dashboard.updatePositions(Object.values(this.positions));
     }
   }
 
+  /**
+   * Removes a position that the broker no longer reports, first applying any fills
+   * on its tracked orders so the journal records the real exit prices.
+   */
+  async closeOutPosition(symbol) {
+    const orderIds = Object.keys(this.orderTracking).filter(
+      (orderId) => this.orderTracking[orderId].symbol === symbol
+    );
+    for (const orderId of orderIds) {
+      await this.reconcileOrder(orderId);
+    }
+
+    // Applying the last fill may already have removed it
+    this.removePosition(symbol);
+  }
+
+  /**
+   * Determines whether trading is halted by the circuit breaker. A halt only
+   * lasts for the session it was tripped in.
+   */
+  isHalted() {
+    if (!this.halt) {
+      return false;
+    }
+
+    if (this.halt.date !== getExchangeTime().dateStr) {
+      const message = `New session. Clearing halt from ${this.halt.date}: ${this.halt.reason}`;
+      logger.info(message);
+      this.dashboard.logInfo(message);
+      this.halt = null;
+      this.dashboard.setHalted(null);
+      this.saveState();
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Halts trading for the rest of the session: pyramiding stops and every
+   * tracked position is flattened through the normal close path. Throws if
+   * any closing order couldn't be placed; the halt then stays unflattened so
+   * calling again retries the flatten.
+   */
+  async haltTrading(reason) {
+    // A halt whose flatten threw is run again until it gets through
+    if (this.isHalted() && this.halt.flattened !== false) {
+      return;
+    }
+
+    if (!this.isHalted()) {
+      this.halt = {
+        reason,
+        date: getExchangeTime().dateStr,
+        at: Date.now(),
+        flattened: false,
+      };
+      this.saveState();
+      this.dashboard.setHalted(reason);
+
+      const message = `Trading halted until next session: ${reason}`;
+      logger.error(message);
+      this.dashboard.logError(message);
+      this.notify('circuit_breaker', message, { reason });
+    }
+
+    const halt = this.halt;
+    const unclosed = await this.flattenAll('circuit_breaker');
+    if (unclosed.length > 0) {
+      throw new Error(`No closing order placed for ${unclosed.join(', ')}`);
+    }
+    halt.flattened = true;
+    this.saveState();
+  }
+
+  /**
+   * Closes every tracked position, canceling pending pyramid orders first so
+   * they can't reopen anything.
+   * @returns {Array} - Symbols whose closing order couldn't be placed.
+   */
+  async flattenAll(reason) {
+    const unclosed = [];
+    for (const symbol of Object.keys(this.positions)) {
+      if (!(await this.exitPosition(symbol, reason))) {
+        unclosed.push(symbol);
+      }
+    }
+    return unclosed;
+  }
+
+  /**
+   * Closes a single position: cancels its pyramid orders and broker stop,
+   * then sends the closing order. Does nothing if it is already closing.
+   * @returns {boolean} - False if the closing order couldn't be placed; the
+   *   position's stop and exit rules are back on so it can be closed again.
+   */
+  async exitPosition(symbol, reason) {
+    const pos = this.positions[symbol];
+    if (!pos || pos.stopTriggered) {
+      return true;
+    }
+
+    pos.stopTriggered = true;
+    let placed = false;
+    try {
+      await this.cancelTrackedOrders(symbol, ['pyramid']);
+      await this.cancelProtectiveStop(pos);
+      placed = await this.closePositionMarketOrder(symbol, reason);
+    } finally {
+      if (!placed) {
+        this.resumeAfterFailedClose(pos, reason);
+      }
+    }
+    return placed;
+  }
+
+  /**
+   * Turns a position's stop and exit rules back on after its closing order
+   * couldn't be placed, so the next trigger or flatten tries again.
+   */
+  resumeAfterFailedClose(pos, reason) {
+    pos.stopTriggered = false;
+    const errorMessage = `No closing order placed for ${pos.symbol} (${reason}). Position is still open; stop monitoring resumed.`;
+    logger.error(errorMessage);
+    this.dashboard.logError(errorMessage);
+  }
+
+  /**
+   * Cancels a symbol's tracked working orders, optionally only of some types.
+   */
+  async cancelTrackedOrders(symbol, types = null) {
+    const orderIds = Object.keys(this.orderTracking).filter(
+      (orderId) =>
+        this.orderTracking[orderId].symbol === symbol &&
+        (!types || types.includes(this.orderTracking[orderId].type))
+    );
+
+    for (const orderId of orderIds) {
+      const trackedOrder = this.orderTracking[orderId];
+      if (!trackedOrder) {
+        continue;
+      }
+      const type = trackedOrder.type;
+      try {
+        await this.retryOperation(() => this.broker.cancelOrder(orderId));
+        const message = `Canceled ${type} order ${orderId} for ${symbol}.`;
+        logger.info(message);
+        this.dashboard.logInfo(message);
+      } catch (err) {
+        const errorMessage = `Error canceling order ${orderId} for ${symbol}: ${err.message}`;
+        logger.error(errorMessage);
+        this.dashboard.logError(errorMessage);
+      }
+    }
+  }
+
   /**
    * Handles quote updates from Polygon and manages profit targets, pyramiding, and stop monitoring.
    */
-  async onQuoteUpdate(symbol, bidPrice, askPrice) {
+  async onQuoteUpdate(symbol, bidPrice, askPrice, timestamp = Date.now()) {
+    // Old quotes still update prices but must not fire stops or entries
+    const isStale = Date.now() - timestamp > config.polygonStream.staleQuoteMs;
+
+    // Bad quotes (zero, crossed, too wide) are dropped entirely
+    const rejection = this.getQuoteRejection(bidPrice, askPrice);
+    if (rejection) {
+      this.logSuppressedTriggers(symbol, bidPrice, askPrice, rejection);
+      return;
+    }
+
+    if (this.watchlist[symbol] && !isStale) {
+      await this.checkForBreakout(symbol, bidPrice, askPrice);
+    }
+
     const pos = this.positions[symbol];
     if (!pos || !pos.isActive) {
       return;
@@ -276,22 +1658,62 @@ class OrderManager {
     }¢ | Current Price: $${currentPrice.toFixed(2)}`;
     this.dashboard.logInfo(message);
 
-    // Check for stop trigger only if stop has not been triggered yet
-    if (!pos.stopTriggered) {
+    // Track max favorable and adverse excursion for the journal
+    const profitCents = parseFloat(pos.profitCents);
+    pos.maxFavorableCents = Math.max(pos.maxFavorableCents, profitCents);
+    pos.maxAdverseCents = Math.min(pos.maxAdverseCents, profitCents);
+
+    // Track the best price seen since entry and trail the stop behind it
+    const isNewHigh =
+      side === 'buy'
+        ? currentPrice > pos.highWaterMark
+        : currentPrice < pos.highWaterMark;
+    if (isNewHigh) {
+      pos.highWaterMark = currentPrice;
+      if (this.applyTrailingStop(pos)) {
+        this.saveState();
+        this.dashboard.updatePositions(Object.values(this.positions));
+        await this.syncProtectiveStop(pos);
+      }
+    }
+
+    // Check for stop trigger only if stop has not been triggered yet.
+    // Bar-based stops are checked in onAggregate() instead.
+    if (!pos.stopTriggered && (pos.stopTrigger || 'quote') === 'quote') {
       if (
         (side === 'buy' && bidPrice <= pos.stopPrice) || // Long position stop loss
         (side === 'sell' && askPrice >= pos.stopPrice) // Short position stop loss
       ) {
-        pos.stopTriggered = true;
-        const stopMessage = `Stop condition met for ${symbol}. Initiating limit order to close position.`;
-        logger.info(stopMessage);
-        this.dashboard.logWarning(stopMessage);
-        await this.closePositionMarketOrder(symbol);
-        return;
+        if (isStale) {
+          // Warn once per stale stretch, not on every old quote
+          if (!pos.staleStopWarned) {
+            pos.staleStopWarned = true;
+            const warnMessage = `Ignoring stop for ${symbol}: quote is ${(
+              (Date.now() - timestamp) /
+              1000
+            ).toFixed(1)}s old.`;
+            logger.warn(warnMessage);
+            this.dashboard.logWarning(warnMessage);
+          }
+        } else if (this.isStopBreachConfirmed(pos)) {
+          await this.triggerStop(pos, 'Stop condition met');
+          return;
+        }
+      } else if (pos.stopBreach) {
+        // Price came back before the breach was confirmed
+        const warnMessage = `Suppressed stop for ${symbol}: breach cleared after ${
+          pos.stopBreach.quotes
+        } quote(s) in ${Date.now() - pos.stopBreach.since}ms.`;
+        logger.warn(warnMessage);
+        this.dashboard.logWarning(warnMessage);
+        pos.stopBreach = null;
       }
     }
+    if (!isStale) {
+      pos.staleStopWarned = false;
+    }
 
-    const profitTargets = config.orderSettings.profitTargets;
+    const profitTargets = pos.profitTargets;
 
     // Check if all profit targets have been hit
     if (pos.profitTargetsHit < profitTargets.length) {
@@ -307,6 +1729,12 @@ class OrderManager {
         const targetMessage = `Profit target hit for ${symbol}: +${pos.profitCents}¢ >= +${target.targetCents}¢`;
         logger.info(targetMessage);
         this.dashboard.logInfo(targetMessage);
+        this.notify('target_hit', targetMessage, {
+          symbol,
+          target: pos.profitTargetsHit + 1,
+          profitCents: parseFloat(pos.profitCents),
+          price: pos.currentPrice,
+        });
 
         // Calculate order qty based on current position size
         let qtyToClose = Math.floor(pos.qty * (target.percentToClose / 100));
@@ -322,6 +1750,9 @@ class OrderManager {
           return;
         }
 
+        // Free up the shares held by the broker stop before exiting client-side
+        await this.cancelProtectiveStop(pos);
+
         // Place limit order
         await this.placeIOCOrder(
           symbol,
@@ -333,40 +1764,37 @@ class OrderManager {
         pos.profitTargetsHit += 1;
 
         // Adjust stop price based on dynamicStops configuration
-        const dynamicStop = this.calculateDynamicStopPrice(
-          pos.profitTargetsHit,
-          pos.avgEntryPrice,
-          pos.side
-        );
-        if (dynamicStop) {
-          pos.stopPrice = dynamicStop.stopPrice;
-          pos.stopCents = dynamicStop.stopCents;
-          pos.stopDescription = `Stop ${pos.stopCents}¢ ${
-            pos.stopCents > 0 ? 'above' : pos.stopCents < 0 ? 'below' : 'at'
-          } avg price`;
-          const stopPriceMessage = `Adjusted stop price for ${symbol} to $${pos.stopPrice.toFixed(
-            2
-          )} after hitting ${pos.profitTargetsHit} profit targets.`;
-          this.dashboard.logInfo(stopPriceMessage);
-        }
+        this.recalculateStop(pos);
+        const stopPriceMessage = `Adjusted stop price for ${symbol} to $${pos.stopPrice.toFixed(
+          2
+        )} after hitting ${pos.profitTargetsHit} profit targets.`;
+        this.dashboard.logInfo(stopPriceMessage);
 
         pos.isProcessing = false;
+        this.saveState();
 
         // Update dashboard positions
         this.dashboard.updatePositions(Object.values(this.positions));
+
+        // Re-place the broker stop for what's left at the new stop price
+        await this.syncProtectiveStop(pos);
       }
     }
 
     // ------------------------------
     // Check for Pyramiding Levels
     // ------------------------------
-    const pyramidLevels = config.orderSettings.pyramidLevels;
+    const pyramidLevels = pos.pyramidLevels;
 
     // Check if all pyramid levels have been hit
     if (pos.pyramidLevelsHit < pyramidLevels.length) {
       const nextPyramidLevel = pyramidLevels[pos.pyramidLevelsHit];
 
-      if (parseFloat(pos.profitCents) >= nextPyramidLevel.addInCents) {
+      if (
+        !this.isHalted() &&
+        !pos.pyramidingDisabled &&
+        parseFloat(pos.profitCents) >= nextPyramidLevel.addInCents
+      ) {
         // Condition met to add into position
         if (!pos.isProcessingPyramid) {
           pos.isProcessingPyramid = true;
@@ -386,6 +1814,7 @@ class OrderManager {
             );
             // Increment pyramidLevelsHit
             pos.pyramidLevelsHit += 1;
+            this.saveState();
           } else {
             const warnMessage = `Quantity to add is less than 1 for ${symbol} at pyramid level ${
               pos.pyramidLevelsHit + 1
@@ -395,10 +1824,250 @@ class OrderManager {
           }
           pos.isProcessingPyramid = false;
 
-          // Update dashboard positions
-          this.dashboard.updatePositions(Object.values(this.positions));
-        }
-      }
+          // Update dashboard positions
+          this.dashboard.updatePositions(Object.values(this.positions));
+        }
+      }
+    }
+  }
+
+  /**
+   * Checks a quote against the configured sanity filters.
+   * @returns {string|null} - Why the quote is rejected, or null if it's usable.
+   */
+  getQuoteRejection(bidPrice, askPrice) {
+    const filters = config.quoteFilters;
+
+    if (filters.ignoreZeroQuotes && !(bidPrice > 0 && askPrice > 0)) {
+      return 'zero bid or ask';
+    }
+    if (filters.ignoreCrossedQuotes && bidPrice > askPrice) {
+      return 'crossed market';
+    }
+
+    const spreadCents = (askPrice - bidPrice) * 100;
+    if (
+      filters.maxSpreadCents !== null &&
+      spreadCents > filters.maxSpreadCents
+    ) {
+      return `spread ${spreadCents.toFixed(1)}¢ > ${filters.maxSpreadCents}¢`;
+    }
+
+    const spreadPercent =
+      ((askPrice - bidPrice) / ((askPrice + bidPrice) / 2)) * 100;
+    if (
+      filters.maxSpreadPercent !== null &&
+      spreadPercent > filters.maxSpreadPercent
+    ) {
+      return `spread ${spreadPercent.toFixed(2)}% > ${
+        filters.maxSpreadPercent
+      }%`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Logs the stop or target a rejected quote would have fired, so the quote
+   * filters can be tuned.
+   */
+  logSuppressedTriggers(symbol, bidPrice, askPrice, rejection) {
+    const pos = this.positions[symbol];
+    if (!pos || !pos.isActive || pos.stopTriggered) {
+      return;
+    }
+
+    const quote = `bid $${bidPrice.toFixed(2)} / ask $${askPrice.toFixed(2)}`;
+    const currentPrice = pos.side === 'buy' ? bidPrice : askPrice;
+    const profitCents =
+      (currentPrice - pos.avgEntryPrice) * 100 * (pos.side === 'buy' ? 1 : -1);
+    const nextTarget = pos.profitTargets[pos.profitTargetsHit];
+
+    let trigger = null;
+    if (
+      (pos.side === 'buy' && bidPrice <= pos.stopPrice) ||
+      (pos.side === 'sell' && askPrice >= pos.stopPrice)
+    ) {
+      trigger = `stop at $${pos.stopPrice.toFixed(2)}`;
+    } else if (nextTarget && profitCents >= nextTarget.targetCents) {
+      trigger = `+${nextTarget.targetCents}¢ target`;
+    }
+
+    if (trigger) {
+      const warnMessage = `Suppressed ${trigger} for ${symbol}: ${rejection} (${quote}).`;
+      logger.warn(warnMessage);
+      this.dashboard.logWarning(warnMessage);
+    }
+  }
+
+  /**
+   * Counts a quote through the stop and decides whether the breach has lasted
+   * long enough to act on: stopConfirmQuotes quotes and stopConfirmMs in breach.
+   */
+  isStopBreachConfirmed(pos) {
+    const { stopConfirmQuotes, stopConfirmMs } = config.quoteFilters;
+    if (!pos.stopBreach) {
+      pos.stopBreach = { quotes: 0, since: Date.now() };
+    }
+    pos.stopBreach.quotes += 1;
+
+    return (
+      pos.stopBreach.quotes >= stopConfirmQuotes &&
+      Date.now() - pos.stopBreach.since >= stopConfirmMs
+    );
+  }
+
+  /**
+   * Handles a symbol whose quotes have stopped arriving: warns, and if
+   * configured, polls REST snapshots in place of the stream until it resumes.
+   */
+  onQuoteStale(symbol, ageMs) {
+    this.staleSymbols.add(symbol);
+    this.dashboard.setStaleSymbols([...this.staleSymbols]);
+
+    const warnMessage = `No quotes for ${symbol} in ${(ageMs / 1000).toFixed(
+      1
+    )}s. Quotes are stale.`;
+    logger.warn(warnMessage);
+    this.dashboard.logWarning(warnMessage);
+    this.notify('feed_stale', warnMessage, { symbol, ageMs });
+
+    if (
+      config.polygonStream.restPollingOnStale &&
+      !this.snapshotPollers[symbol]
+    ) {
+      this.snapshotPollers[symbol] = setInterval(
+        () => this.pollSnapshotQuote(symbol),
+        config.polygonStream.restPollIntervalMs
+      );
+    }
+  }
+
+  /**
+   * Handles a stale symbol's quotes resuming: stops any REST polling.
+   */
+  onQuoteFresh(symbol) {
+    this.clearStaleSymbol(symbol);
+
+    const message = `Quotes for ${symbol} resumed.`;
+    logger.info(message);
+    this.dashboard.logInfo(message);
+  }
+
+  /**
+   * Drops a symbol from the stale list and stops polling its snapshots.
+   */
+  clearStaleSymbol(symbol) {
+    this.staleSymbols.delete(symbol);
+    this.dashboard.setStaleSymbols([...this.staleSymbols]);
+
+    if (this.snapshotPollers[symbol]) {
+      clearInterval(this.snapshotPollers[symbol]);
+      delete this.snapshotPollers[symbol];
+    }
+  }
+
+  /**
+   * Feeds the latest REST snapshot quote for a stale symbol through
+   * onQuoteUpdate(). The snapshot's own timestamp decides whether it is
+   * fresh enough to act on.
+   */
+  async pollSnapshotQuote(symbol) {
+    try {
+      const snapshot = await this.restClient.getSnapshot(symbol);
+      if (snapshot.bid && snapshot.ask && snapshot.quoteTime) {
+        await this.onQuoteUpdate(
+          symbol,
+          snapshot.bid,
+          snapshot.ask,
+          snapshot.quoteTime
+        );
+      }
+    } catch (err) {
+      const errorMessage = `Error polling snapshot for ${symbol}: ${err.message}`;
+      logger.error(errorMessage);
+      this.dashboard.logError(errorMessage);
+    }
+  }
+
+  /**
+   * Fires a position's client-side stop: cancels the broker stop and closes
+   * the position.
+   */
+  async triggerStop(pos, description) {
+    pos.stopTriggered = true;
+    pos.stopBreach = null;
+    const stopMessage = `${description} for ${pos.symbol}. Initiating limit order to close position.`;
+    logger.info(stopMessage);
+    this.dashboard.logWarning(stopMessage);
+    this.notify('stop_triggered', stopMessage, {
+      symbol: pos.symbol,
+      stopPrice: pos.stopPrice,
+      price: pos.currentPrice,
+      qty: pos.qty,
+    });
+    let placed = false;
+    try {
+      await this.cancelProtectiveStop(pos);
+      placed = await this.closePositionMarketOrder(pos.symbol, 'stop');
+    } finally {
+      if (!placed) {
+        this.resumeAfterFailedClose(pos, 'stop');
+      }
+    }
+  }
+
+  /**
+   * Handles trades from Polygon: keeps the symbol's last price and session
+   * volume, and lifts watchlist highs to the exact traded high.
+   */
+  onTradePrint(symbol, price, size, timestamp) {
+    const { dateStr } = getExchangeTime(new Date(timestamp));
+    let data = this.marketData[symbol];
+    if (!data || data.sessionDate !== dateStr) {
+      data = this.marketData[symbol] = { volume: 0, sessionDate: dateStr };
+    }
+
+    data.lastPrice = price;
+    data.lastSize = size;
+    data.lastTradeTime = timestamp;
+    data.volume += size;
+
+    if (this.positions[symbol]) {
+      this.positions[symbol].lastTradePrice = price;
+    }
+
+    if (this.watchlist[symbol] && this.realHOD[symbol]) {
+      this.candidateHOD[symbol] = Math.max(this.candidateHOD[symbol], price);
+    }
+  }
+
+  /**
+   * Handles second (A.) and minute (AM.) bars from Polygon. Positions whose
+   * stop fires on that bar size stop out when a bar closes through the stop.
+   * @param {string} timespan - 'second' or 'minute'.
+   */
+  async onAggregate(symbol, bar, timespan) {
+    const pos = this.positions[symbol];
+    if (
+      !pos ||
+      !pos.isActive ||
+      pos.stopTriggered ||
+      pos.stopTrigger !== timespan
+    ) {
+      return;
+    }
+
+    if (
+      (pos.side === 'buy' && bar.close <= pos.stopPrice) ||
+      (pos.side === 'sell' && bar.close >= pos.stopPrice)
+    ) {
+      await this.triggerStop(
+        pos,
+        `${
+          timespan === 'second' ? 'Second' : 'Minute'
+        } bar closed at $${bar.close.toFixed(2)} through stop`
+      );
     }
   }
 
@@ -426,13 +2095,13 @@ class OrderManager {
 
     const order = {
       symbol,
-      qty: qtyToAdd.toFixed(0),
+      qty: Math.round(qtyToAdd),
       side,
       type: 'limit',
-      time_in_force: 'day',
-      limit_price: limitPrice.toFixed(2),
-      extended_hours: true,
-      client_order_id: this.generateClientOrderId('PYRAMID'),
+      timeInForce: 'day',
+      limitPrice: parseFloat(limitPrice.toFixed(2)),
+      extendedHours: true,
+      clientOrderId: this.generateClientOrderId('PYRAMID'),
     };
 
     const orderMessage = `Attempting to place pyramid order: ${JSON.stringify(
@@ -443,27 +2112,28 @@ class OrderManager {
 
     try {
       const result = await this.retryOperation(() =>
-        this.limitedCreateOrder(order)
+        this.broker.submitOrder(order)
       );
       const successMessage = `Placed pyramid order for ${qtyToAdd} shares of ${symbol}. Order ID: ${result.id}`;
       logger.info(successMessage);
       this.dashboard.logInfo(successMessage);
 
       // Track the pyramid order
-      this.orderTracking[result.id] = {
+      this.trackOrder(result.id, {
         symbol,
         type: 'pyramid',
-        qty: parseFloat(order.qty),
+        reason: 'pyramid',
+        qty: order.qty,
         side: order.side,
         filledQty: 0,
-      };
+        placedAt: Date.now(),
+        chaseAttempts: 0,
+      });
 
       // Refresh positions
       await this.refreshPositions();
     } catch (err) {
-      const errorMessage = `Error placing pyramid order for ${symbol}: ${
-        err.response ? JSON.stringify(err.response.data) : err.message
-      }`;
+      const errorMessage = `Error placing pyramid order for ${symbol}: ${err.message}`;
       logger.error(errorMessage);
       this.dashboard.logError(errorMessage);
     }
@@ -472,12 +2142,12 @@ class OrderManager {
   /**
    * Places a limit order to close a portion of the position.
    */
-  async placeIOCOrder(symbol, qty, side) {
+  async placeIOCOrder(symbol, qty, side, reason = 'target') {
     qty = Math.abs(qty);
 
     const pos = this.positions[symbol];
     let limitPrice;
-    const limitOffsetCents = config.orderSettings.limitOffsetCents || 0;
+    const limitOffsetCents = pos.limitOffsetCents || 0;
 
     if (side === 'buy') {
       // For short positions, buy at the ask price + offset
@@ -502,13 +2172,13 @@ class OrderManager {
 
     const order = {
       symbol,
-      qty: qty.toFixed(0),
+      qty: Math.round(qty),
       side,
       type: 'limit',
-      time_in_force: 'day',
-      limit_price: limitPrice.toFixed(2),
-      extended_hours: true,
-      client_order_id: this.generateClientOrderId('LIMIT'),
+      timeInForce: 'day',
+      limitPrice: parseFloat(limitPrice.toFixed(2)),
+      extendedHours: true,
+      clientOrderId: this.generateClientOrderId('LIMIT'),
     };
 
     const orderMessage = `Attempting to place limit order: ${JSON.stringify(
@@ -519,27 +2189,28 @@ class OrderManager {
 
     try {
       const result = await this.retryOperation(() =>
-        this.limitedCreateOrder(order)
+        this.broker.submitOrder(order)
       );
       const successMessage = `Placed limit order for ${qty} shares of ${symbol}. Order ID: ${result.id}`;
       logger.info(successMessage);
       this.dashboard.logInfo(successMessage);
 
       // Track the limit order
-      this.orderTracking[result.id] = {
+      this.trackOrder(result.id, {
         symbol,
         type: 'ioc',
-        qty: parseFloat(order.qty),
+        reason,
+        qty: order.qty,
         side: order.side,
         filledQty: 0,
-      };
+        placedAt: Date.now(),
+        chaseAttempts: 0,
+      });
 
       // Immediately refresh positions after placing an order
       await this.refreshPositions();
     } catch (err) {
-      const errorMessage = `Error placing limit order for ${symbol}: ${
-        err.response ? JSON.stringify(err.response.data) : err.message
-      }`;
+      const errorMessage = `Error placing limit order for ${symbol}: ${err.message}`;
       logger.error(errorMessage);
       this.dashboard.logError(errorMessage);
     }
@@ -559,88 +2230,46 @@ class OrderManager {
     try {
       // Fetch all open orders
       const openOrders = await this.retryOperation(() =>
-        this.limitedGetOrders({ status: 'open' })
+        this.broker.getOrders({ status: 'open' })
       );
 
       // Update the dashboard with active orders
       this.dashboard.updateOrders(openOrders);
 
+      const openOrderIds = new Set();
       for (const order of openOrders) {
+        openOrderIds.add(order.id);
         const trackedOrder = this.orderTracking[order.id];
         if (trackedOrder) {
-          const filledQty = parseFloat(order.filled_qty || '0');
-
-          // Update filled quantity
-          trackedOrder.filledQty = filledQty;
-
-          if (filledQty > 0) {
-            // Update the position based on the filled quantity
-            const pos = this.positions[trackedOrder.symbol];
-            if (pos) {
-              if (
-                trackedOrder.type === 'ioc' ||
-                trackedOrder.type === 'close'
-              ) {
-                // For limit and close orders, adjust position quantity
-                pos.qty -= filledQty;
-
-                const fillMessage = `Order ${order.id} filled ${filledQty} qty for ${trackedOrder.symbol}. Remaining qty: ${pos.qty}`;
-                logger.info(fillMessage);
-                this.dashboard.logInfo(fillMessage);
-
-                // Recalculate profit since qty has changed
-                pos.profitCents = (
-                  (pos.currentPrice - pos.avgEntryPrice) *
-                  100 *
-                  (pos.side === 'buy' ? 1 : -1)
-                ).toFixed(2);
-
-                // Update the dashboard
-                this.dashboard.updatePositions(Object.values(this.positions));
-
-                // If all qty is closed, remove the position
-                if (pos.qty <= 0) {
-                  this.removePosition(trackedOrder.symbol);
-                }
-              } else if (trackedOrder.type === 'pyramid') {
-                // For pyramid orders, adjust position quantity and avgEntryPrice
-                pos.qty += filledQty;
-
-                // Need to recalculate avgEntryPrice
-                const totalCost =
-                  pos.avgEntryPrice * (pos.qty - filledQty) +
-                  filledQty * parseFloat(order.limit_price);
-                pos.avgEntryPrice = totalCost / pos.qty;
-
-                const fillMessage = `Pyramid order ${
-                  order.id
-                } filled ${filledQty} qty for ${
-                  trackedOrder.symbol
-                }. New qty: ${
-                  pos.qty
-                }, New Avg Entry Price: $${pos.avgEntryPrice.toFixed(2)}`;
-                logger.info(fillMessage);
-                this.dashboard.logInfo(fillMessage);
-
-                // Recalculate profit
-                pos.profitCents = (
-                  (pos.currentPrice - pos.avgEntryPrice) *
-                  100 *
-                  (pos.side === 'buy' ? 1 : -1)
-                ).toFixed(2);
-
-                // Update the dashboard
-                this.dashboard.updatePositions(Object.values(this.positions));
-              }
-            }
+          this.applyOrderUpdate(order);
+
+          // Reprice exit orders that have been working too long
+          if (
+            this.orderTracking[order.id] &&
+            this.shouldChaseOrder(order, trackedOrder)
+          ) {
+            await this.chaseExitOrder(order, trackedOrder);
           }
 
-          // Remove filled or canceled orders from tracking
-          if (order.status === 'filled' || order.status === 'canceled') {
-            delete this.orderTracking[order.id];
+          // A breakout that didn't fill in time has missed; stop chasing it
+          if (
+            this.orderTracking[order.id] &&
+            trackedOrder.type === 'entry' &&
+            Date.now() - trackedOrder.placedAt >= config.entry.cancelAfterMs
+          ) {
+            await this.cancelTrackedOrders(trackedOrder.symbol, ['entry']);
           }
         }
       }
+
+      // Orders that finished without their update reaching us (between
+      // polls, or an event the stream never delivered) no longer show up as
+      // open; look them up directly so they don't stay tracked
+      for (const orderId of Object.keys(this.orderTracking)) {
+        if (!openOrderIds.has(orderId)) {
+          await this.reconcileOrder(orderId);
+        }
+      }
     } catch (err) {
       const errorMessage = `Error polling order statuses: ${err.message}`;
       logger.error(errorMessage);
@@ -650,10 +2279,599 @@ class OrderManager {
     }
   }
 
+  /**
+   * Handles an order update streamed by the broker.
+   */
+  onOrderUpdate(event, order) {
+    if (!this.orderTracking[order.id]) {
+      this.bufferUntrackedUpdate(event, order);
+      return;
+    }
+
+    if (event === 'rejected') {
+      const errorMessage = `Order ${order.id} for ${order.symbol} was rejected.`;
+      logger.error(errorMessage);
+      this.dashboard.logError(errorMessage);
+      this.notify('order_rejected', errorMessage, {
+        symbol: order.symbol,
+        orderId: order.id,
+        side: order.side,
+        type: order.type,
+        qty: order.qty,
+      });
+    } else if (event === 'canceled' || event === 'expired') {
+      const warnMessage = `Order ${order.id} for ${order.symbol} ${event} with ${order.filledQty}/${order.qty} filled.`;
+      logger.warn(warnMessage);
+      this.dashboard.logWarning(warnMessage);
+    }
+
+    this.applyOrderUpdate(order);
+  }
+
+  /**
+   * Holds the latest update for an order that isn't tracked yet. A marketable
+   * order can fill before submitOrder() returns; trackOrder() replays the
+   * update once it does. Updates for orders placed outside this system are
+   * never claimed and age out.
+   */
+  bufferUntrackedUpdate(event, order) {
+    const now = Date.now();
+    for (const orderId of Object.keys(this.untrackedUpdates)) {
+      if (
+        now - this.untrackedUpdates[orderId].receivedAt >
+        UNTRACKED_UPDATE_TTL_MS
+      ) {
+        delete this.untrackedUpdates[orderId];
+      }
+    }
+    this.untrackedUpdates[order.id] = { event, order, receivedAt: now };
+  }
+
+  /**
+   * Starts tracking a submitted order, then applies any update for it that
+   * streamed in before it was tracked.
+   */
+  trackOrder(orderId, trackedOrder) {
+    this.orderTracking[orderId] = trackedOrder;
+    this.saveState();
+
+    const buffered = this.untrackedUpdates[orderId];
+    if (buffered) {
+      delete this.untrackedUpdates[orderId];
+      this.onOrderUpdate(buffered.event, buffered.order);
+    }
+  }
+
+  /**
+   * Applies an order's latest state to its tracked order and position.
+   * Fills are applied as the difference from the cumulative filled qty seen so
+   * far, so the same update can arrive from the stream and a poll without
+   * being counted twice.
+   */
+  applyOrderUpdate(order) {
+    const trackedOrder = this.orderTracking[order.id];
+    if (!trackedOrder) {
+      return;
+    }
+
+    const prevFilledQty = trackedOrder.filledQty || 0;
+    const prevAvgPrice = trackedOrder.filledAvgPrice || 0;
+    const filledQty = order.filledQty;
+    const newFillQty = filledQty - prevFilledQty;
+
+    if (newFillQty > 0) {
+      const filledAvgPrice = order.filledAvgPrice || order.limitPrice || 0;
+      // Back the price of just the new shares out of the cumulative average
+      const fillPrice =
+        (filledQty * filledAvgPrice - prevFilledQty * prevAvgPrice) /
+        newFillQty;
+
+      trackedOrder.filledQty = filledQty;
+      trackedOrder.filledAvgPrice = filledAvgPrice;
+      this.applyFill(order.id, trackedOrder, newFillQty, fillPrice);
+    }
+
+    if (TERMINAL_ORDER_STATUSES.includes(order.status)) {
+      delete this.orderTracking[order.id];
+
+      const pos = this.positions[trackedOrder.symbol];
+      if (
+        pos &&
+        trackedOrder.resumeStopOnCancel &&
+        order.status === 'canceled'
+      ) {
+        pos.stopTriggered = false;
+        const message = `Closing order ${order.id} for ${trackedOrder.symbol} canceled. Stop monitoring resumed.`;
+        logger.info(message);
+        this.dashboard.logInfo(message);
+      }
+    }
+
+    if (newFillQty > 0 || !this.orderTracking[order.id]) {
+      this.saveState();
+    }
+  }
+
+  /**
+   * Records newly filled shares of one of a position's tracked orders. The
+   * broker's qty and avg entry price, copied in refreshPositions(), already
+   * include the fill, so they aren't adjusted here; a refresh picks them up.
+   */
+  applyFill(orderId, trackedOrder, fillQty, fillPrice) {
+    const pos = this.positions[trackedOrder.symbol];
+
+    // The first entry fill opens the position; pick it up from the broker
+    if (!pos && trackedOrder.type === 'entry') {
+      const fillMessage = `Entry order ${orderId} filled ${fillQty} qty @ $${fillPrice.toFixed(
+        2
+      )} for ${trackedOrder.symbol}.`;
+      logger.info(fillMessage);
+      this.dashboard.logInfo(fillMessage);
+      this.refreshPositions();
+      return;
+    }
+
+    if (!pos) {
+      return;
+    }
+
+    if (
+      trackedOrder.type === 'ioc' ||
+      trackedOrder.type === 'close' ||
+      trackedOrder.type === 'protective'
+    ) {
+      pos.exitFills.push({
+        qty: fillQty,
+        price: fillPrice,
+        time: Date.now(),
+        reason: trackedOrder.reason || trackedOrder.type,
+      });
+
+      const fillMessage = `Order ${orderId} filled ${fillQty} qty @ $${fillPrice.toFixed(
+        2
+      )} for ${trackedOrder.symbol}.`;
+      logger.info(fillMessage);
+      this.dashboard.logInfo(fillMessage);
+    } else if (
+      trackedOrder.type === 'pyramid' ||
+      trackedOrder.type === 'entry'
+    ) {
+      // Entry fills the broker qty was seeded with are already recorded
+      let newQty = fillQty;
+      if (trackedOrder.type === 'entry') {
+        const seededQty = Math.min(fillQty, pos.unreportedEntryQty || 0);
+        pos.unreportedEntryQty = (pos.unreportedEntryQty || 0) - seededQty;
+        newQty -= seededQty;
+      }
+      if (newQty > 0) {
+        const fills =
+          trackedOrder.type === 'entry' ? pos.entryFills : pos.pyramidFills;
+        fills.push({
+          qty: newQty,
+          price: fillPrice,
+          time: Date.now(),
+          reason: trackedOrder.type,
+        });
+      }
+
+      const fillMessage = `${
+        trackedOrder.type === 'entry' ? 'Entry' : 'Pyramid'
+      } order ${orderId} filled ${fillQty} qty @ $${fillPrice.toFixed(2)} for ${
+        trackedOrder.symbol
+      }.`;
+      logger.info(fillMessage);
+      this.dashboard.logInfo(fillMessage);
+      if (trackedOrder.type === 'pyramid') {
+        this.notify('pyramid_filled', fillMessage, {
+          symbol: trackedOrder.symbol,
+          qty: fillQty,
+          price: fillPrice,
+        });
+      }
+    }
+
+    // Pick up the new qty and avg entry; a fully closed position is removed there
+    this.refreshPositions();
+  }
+
+  /**
+   * Fetches a single tracked order from the broker and applies its final state.
+   */
+  async reconcileOrder(orderId) {
+    try {
+      const order = await this.retryOperation(() =>
+        this.broker.getOrder(orderId)
+      );
+      this.applyOrderUpdate(order);
+    } catch (err) {
+      if (err.statusCode === 404) {
+        delete this.orderTracking[orderId];
+        this.saveState();
+        return;
+      }
+      const errorMessage = `Error reconciling order ${orderId}: ${err.message}`;
+      logger.error(errorMessage);
+      this.dashboard.logError(errorMessage);
+    }
+  }
+
+  /**
+   * Applies every order that closed since the given time, to catch fills and
+   * cancels missed while order updates were not streaming. Without a time,
+   * reconciles from the oldest tracked order.
+   */
+  async reconcileOrders(since = null) {
+    const trackedTimes = Object.values(this.orderTracking).map(
+      (tracked) => tracked.placedAt || 0
+    );
+    if (trackedTimes.length === 0) {
+      return;
+    }
+
+    const after = since ? since.getTime() : Math.min(...trackedTimes);
+    try {
+      const closedOrders = await this.retryOperation(() =>
+        this.broker.getOrders({
+          status: 'closed',
+          after: after - 1000,
+          direction: 'asc',
+          limit: 500,
+        })
+      );
+      closedOrders.forEach((order) => this.applyOrderUpdate(order));
+
+      const message = `Reconciled ${
+        closedOrders.length
+      } closed order(s) since ${new Date(after).toISOString()}.`;
+      logger.info(message);
+      this.dashboard.logInfo(message);
+    } catch (err) {
+      const errorMessage = `Error reconciling closed orders: ${err.message}`;
+      logger.error(errorMessage);
+      this.dashboard.logError(errorMessage);
+    }
+  }
+
+  /**
+   * Sums the unfilled quantity of working client-side exit orders for a symbol.
+   */
+  getPendingExitQty(symbol) {
+    return Object.values(this.orderTracking)
+      .filter(
+        (tracked) =>
+          tracked.symbol === symbol &&
+          (tracked.type === 'ioc' || tracked.type === 'close')
+      )
+      .reduce(
+        (total, tracked) => total + (tracked.qty - (tracked.filledQty || 0)),
+        0
+      );
+  }
+
+  /**
+   * Keeps a broker-side stop order for the position's remaining qty
+   * at its current stop price, so positions stay protected if the app or feed
+   * goes down. Alpaca rejects stop orders in extended hours, so outside
+   * regular hours the client-side stop in onQuoteUpdate() is the only stop.
+   */
+  async syncProtectiveStop(pos) {
+    const settings = config.protectiveStop;
+    if (
+      !settings.enabled ||
+      !pos ||
+      pos.stopTriggered ||
+      pos.isSyncingProtectiveStop ||
+      !pos.stopPrice
+    ) {
+      return;
+    }
+
+    if (!isRegularHours()) {
+      if (!pos.protectiveStopHoursWarned) {
+        pos.protectiveStopHoursWarned = true;
+        const warnMessage = `Broker stop for ${pos.symbol} not managed outside regular hours. Relying on client-side stop.`;
+        logger.warn(warnMessage);
+        this.dashboard.logWarning(warnMessage);
+      }
+      return;
+    }
+    pos.protectiveStopHoursWarned = false;
+
+    pos.isSyncingProtectiveStop = true;
+    try {
+      const qty = pos.qty - this.getPendingExitQty(pos.symbol);
+      if (qty <= 0) {
+        await this.cancelProtectiveStop(pos);
+        return;
+      }
+
+      const stopPrice = parseFloat(pos.stopPrice.toFixed(2));
+      const side = pos.side === 'buy' ? 'sell' : 'buy';
+      const changes = { qty: Math.round(qty), stopPrice };
+      if (settings.type === 'stop_limit') {
+        const limitPrice =
+          stopPrice +
+          (settings.limitOffsetCents / 100) * (side === 'buy' ? 1 : -1);
+        changes.limitPrice = parseFloat(limitPrice.toFixed(2));
+      }
+
+      if (pos.protectiveStopOrderId) {
+        const priceMove = Math.abs(stopPrice - pos.protectiveStopPrice) * 100;
+        if (
+          qty === pos.protectiveStopQty &&
+          priceMove < settings.minMoveCents
+        ) {
+          return;
+        }
+
+        const result = await this.retryOperation(() =>
+          this.broker.replaceOrder(pos.protectiveStopOrderId, changes)
+        );
+        delete this.orderTracking[pos.protectiveStopOrderId];
+        this.trackProtectiveStop(pos, result.id, stopPrice, qty);
+
+        const message = `Moved broker stop for ${
+          pos.symbol
+        }: ${qty} @ $${stopPrice.toFixed(2)}. Order ID: ${result.id}`;
+        logger.info(message);
+        this.dashboard.logInfo(message);
+      } else {
+        const order = {
+          symbol: pos.symbol,
+          side,
+          type: settings.type,
+          timeInForce: 'gtc',
+          ...changes,
+          clientOrderId: this.generateClientOrderId('PROTECT'),
+        };
+        const result = await this.retryOperation(() =>
+          this.broker.submitOrder(order)
+        );
+        this.trackProtectiveStop(pos, result.id, stopPrice, qty);
+
+        const message = `Placed broker stop for ${
+          pos.symbol
+        }: ${qty} @ $${stopPrice.toFixed(2)}. Order ID: ${result.id}`;
+        logger.info(message);
+        this.dashboard.logInfo(message);
+      }
+    } catch (err) {
+      // Forget a stop we can't modify (filled or canceled elsewhere); the
+      // next sync places a fresh one if the position is still open
+      if (pos.protectiveStopOrderId) {
+        delete this.orderTracking[pos.protectiveStopOrderId];
+        pos.protectiveStopOrderId = null;
+        this.saveState();
+      }
+      const errorMessage = `Error syncing broker stop for ${pos.symbol}: ${err.message}`;
+      logger.error(errorMessage);
+      this.dashboard.logError(errorMessage);
+    } finally {
+      pos.isSyncingProtectiveStop = false;
+    }
+  }
+
+  /**
+   * Records a broker stop order on the position and in order tracking.
+   */
+  trackProtectiveStop(pos, orderId, stopPrice, qty) {
+    pos.protectiveStopOrderId = orderId;
+    pos.protectiveStopPrice = stopPrice;
+    pos.protectiveStopQty = qty;
+    this.trackOrder(orderId, {
+      symbol: pos.symbol,
+      type: 'protective',
+      reason: 'broker_stop',
+      qty,
+      side: pos.side === 'buy' ? 'sell' : 'buy',
+      filledQty: 0,
+      placedAt: Date.now(),
+      chaseAttempts: 0,
+    });
+  }
+
+  /**
+   * Cancels the position's broker stop order, if it has one.
+   * Returns false if the cancel failed.
+   */
+  async cancelProtectiveStop(pos) {
+    const orderId = pos.protectiveStopOrderId;
+    if (!orderId) {
+      return true;
+    }
+
+    pos.protectiveStopOrderId = null;
+    pos.protectiveStopPrice = null;
+    pos.protectiveStopQty = 0;
+    delete this.orderTracking[orderId];
+    this.saveState();
+
+    try {
+      await this.retryOperation(() => this.broker.cancelOrder(orderId));
+      const message = `Canceled broker stop ${orderId} for ${pos.symbol}.`;
+      logger.info(message);
+      this.dashboard.logInfo(message);
+      return true;
+    } catch (err) {
+      const errorMessage = `Error canceling broker stop ${orderId} for ${pos.symbol}: ${err.message}`;
+      logger.error(errorMessage);
+      this.dashboard.logError(errorMessage);
+      return false;
+    }
+  }
+
+  /**
+   * Determines whether a tracked exit order has been open long enough to chase.
+   */
+  shouldChaseOrder(order, trackedOrder) {
+    const chaser = config.exitChaser;
+    return (
+      chaser.enabled &&
+      (trackedOrder.type === 'ioc' || trackedOrder.type === 'close') &&
+      order.type === 'limit' &&
+      Date.now() - (trackedOrder.placedAt || 0) >= chaser.chaseAfterMs
+    );
+  }
+
+  /**
+   * Calculates an exit limit price off the latest quote, offset through the
+   * market by the position's limitOffsetCents.
+   */
+  calculateExitLimitPrice(pos, side) {
+    const limitOffsetCents = pos.limitOffsetCents || 0;
+    return side === 'buy'
+      ? pos.currentAsk + limitOffsetCents / 100
+      : pos.currentBid - limitOffsetCents / 100;
+  }
+
+  /**
+   * Reprices an unfilled exit order off the latest quote. Once the configured
+   * number of attempts is used up, escalates to a market order during regular
+   * hours; outside regular hours it keeps repricing the limit order.
+   */
+  async chaseExitOrder(order, trackedOrder) {
+    const chaser = config.exitChaser;
+    const symbol = trackedOrder.symbol;
+    const pos = this.positions[symbol];
+    const remainingQty = order.qty - order.filledQty;
+
+    if (!pos || remainingQty <= 0) {
+      return;
+    }
+
+    if (trackedOrder.chaseAttempts >= chaser.maxAttempts) {
+      if (chaser.escalateToMarket && isRegularHours()) {
+        await this.escalateToMarketOrder(order, trackedOrder, remainingQty);
+        return;
+      }
+      if (trackedOrder.chaseAttempts === chaser.maxAttempts) {
+        const warnMessage = `Exit order ${order.id} for ${symbol} still open after ${chaser.maxAttempts} reprices. Market orders are unavailable outside regular hours; continuing to reprice.`;
+        logger.warn(warnMessage);
+        this.dashboard.logWarning(warnMessage);
+      }
+    }
+
+    const limitPrice = this.calculateExitLimitPrice(pos, order.side);
+    if (limitPrice <= 0 || isNaN(limitPrice)) {
+      const errorMessage = `Invalid limit price for ${symbol}. Cannot reprice order ${order.id}.`;
+      logger.error(errorMessage);
+      this.dashboard.logError(errorMessage);
+      return;
+    }
+
+    const attempt = trackedOrder.chaseAttempts + 1;
+    try {
+      const result = await this.retryOperation(() =>
+        this.broker.replaceOrder(order.id, {
+          qty: Math.round(remainingQty),
+          limitPrice: parseFloat(limitPrice.toFixed(2)),
+          timeInForce: 'day',
+          clientOrderId: this.generateClientOrderId('CHASE'),
+        })
+      );
+
+      const repriceMessage = `Repriced ${
+        trackedOrder.type
+      } order for ${symbol} (attempt ${attempt}/${
+        chaser.maxAttempts
+      }): ${remainingQty} @ $${limitPrice.toFixed(2)}. Order ${order.id} -> ${
+        result.id
+      }`;
+      logger.info(repriceMessage);
+      this.dashboard.logInfo(repriceMessage);
+
+      // The replacement is a new order; move tracking over to it
+      delete this.orderTracking[order.id];
+      this.trackOrder(result.id, {
+        ...trackedOrder,
+        qty: remainingQty,
+        filledQty: 0,
+        placedAt: Date.now(),
+        chaseAttempts: attempt,
+      });
+    } catch (err) {
+      // Usually means the order filled or was canceled before the replace landed
+      const errorMessage = `Error repricing order ${order.id} for ${symbol}: ${err.message}`;
+      logger.error(errorMessage);
+      this.dashboard.logError(errorMessage);
+    }
+  }
+
+  /**
+   * Cancels a chased exit order and sends the unfilled remainder as a market order.
+   */
+  async escalateToMarketOrder(order, trackedOrder, remainingQty) {
+    const symbol = trackedOrder.symbol;
+
+    try {
+      await this.retryOperation(() => this.broker.cancelOrder(order.id));
+
+      // Wait for the cancel to settle so a late fill isn't sent twice
+      let finalOrder = order;
+      for (let i = 0; i < 5; i++) {
+        finalOrder = await this.retryOperation(() =>
+          this.broker.getOrder(order.id)
+        );
+        if (['canceled', 'filled', 'expired'].includes(finalOrder.status)) {
+          break;
+        }
+        await this.sleep(200);
+      }
+
+      delete this.orderTracking[order.id];
+      this.saveState();
+
+      if (finalOrder.status !== 'canceled' && finalOrder.status !== 'expired') {
+        const warnMessage = `Order ${order.id} for ${symbol} ended ${finalOrder.status} while escalating to market. Skipping market order.`;
+        logger.warn(warnMessage);
+        this.dashboard.logWarning(warnMessage);
+        return;
+      }
+
+      const qty = finalOrder.qty - finalOrder.filledQty;
+      if (qty <= 0) {
+        return;
+      }
+
+      const marketOrder = {
+        symbol,
+        qty: Math.round(qty),
+        side: order.side,
+        type: 'market',
+        timeInForce: 'day',
+        clientOrderId: this.generateClientOrderId('MARKET'),
+      };
+
+      const escalateMessage = `Exit order for ${symbol} unfilled after ${
+        trackedOrder.chaseAttempts
+      } reprices. Escalating to market order: ${JSON.stringify(marketOrder)}`;
+      logger.warn(escalateMessage);
+      this.dashboard.logWarning(escalateMessage);
+
+      const result = await this.retryOperation(() =>
+        this.broker.submitOrder(marketOrder)
+      );
+
+      this.trackOrder(result.id, {
+        ...trackedOrder,
+        qty,
+        filledQty: 0,
+        placedAt: Date.now(),
+      });
+    } catch (err) {
+      const errorMessage = `Error escalating order ${order.id} for ${symbol} to market: ${err.message}`;
+      logger.error(errorMessage);
+      this.dashboard.logError(errorMessage);
+    }
+  }
+
   /**
    * Closes the full position with a limit order.
+   * @param {string} symbol - The symbol to close.
+   * @param {string} reason - The rule closing it, recorded in the journal.
+   * @returns {boolean} - Whether the closing order was placed.
    */
-  async closePositionMarketOrder(symbol) {
+  async closePositionMarketOrder(symbol, reason = 'stop') {
     const pos = this.positions[symbol];
     const qty = pos.qty;
 
@@ -661,12 +2879,12 @@ class OrderManager {
       const warnMessage = `Attempted to close position for ${symbol} with qty ${qty}.`;
       logger.warn(warnMessage);
       this.dashboard.logWarning(warnMessage);
-      return;
+      return false;
     }
 
     const side = pos.side === 'buy' ? 'sell' : 'buy';
     let limitPrice;
-    const limitOffsetCents = config.orderSettings.limitOffsetCents || 0;
+    const limitOffsetCents = pos.limitOffsetCents || 0;
 
     if (side === 'buy') {
       // For short positions, buy at the ask price + offset
@@ -678,7 +2896,7 @@ class OrderManager {
       const errorMessage = `Invalid side "${side}" for limit order on ${symbol}.`;
       logger.error(errorMessage);
       this.dashboard.logError(errorMessage);
-      return;
+      return false;
     }
 
     // Safety Check: Ensure limitPrice is valid
@@ -686,18 +2904,18 @@ class OrderManager {
       const errorMessage = `Invalid limit price for ${symbol}. Cannot place ${side} order.`;
       logger.error(errorMessage);
       this.dashboard.logError(errorMessage);
-      return;
+      return false;
     }
 
     const order = {
       symbol,
-      qty: qty.toFixed(0),
+      qty: Math.round(qty),
       side,
       type: 'limit',
-      time_in_force: 'day',
-      limit_price: limitPrice.toFixed(2),
-      extended_hours: true,
-      client_order_id: this.generateClientOrderId('CLOSE'),
+      timeInForce: 'day',
+      limitPrice: parseFloat(limitPrice.toFixed(2)),
+      extendedHours: true,
+      clientOrderId: this.generateClientOrderId('CLOSE'),
     };
 
     const closeMessage = `Closing position with limit order: ${JSON.stringify(
@@ -708,38 +2926,43 @@ class OrderManager {
 
     try {
       const result = await this.retryOperation(() =>
-        this.limitedCreateOrder(order)
+        this.broker.submitOrder(order)
       );
       const successMessage = `Limit order placed to close position in ${symbol}. Order ID: ${result.id}`;
       logger.info(successMessage);
       this.dashboard.logInfo(successMessage);
 
       // Track the limit order
-      this.orderTracking[result.id] = {
+      this.trackOrder(result.id, {
         symbol,
         type: 'close',
-        qty: parseFloat(order.qty),
+        reason,
+        qty: order.qty,
         side: order.side,
         filledQty: 0,
-      };
+        placedAt: Date.now(),
+        chaseAttempts: 0,
+      });
 
       // Immediately refresh positions after placing an order
       await this.refreshPositions();
+      return true;
     } catch (err) {
-      const errorMessage = `Error placing limit order to close position for ${symbol}: ${
-        err.response ? JSON.stringify(err.response.data) : err.message
-      }`;
+      const errorMessage = `Error placing limit order to close position for ${symbol}: ${err.message}`;
       logger.error(errorMessage);
       this.dashboard.logError(errorMessage);
+      return false;
     }
   }
 
   /**
-   * Fetches the latest positions from Alpaca and updates internal tracking.
+   * Fetches the latest positions from the broker and updates internal tracking.
    */
   async refreshPositions() {
     if (this.isRefreshing) {
-      // Prevent concurrent refresh
+      // Prevent concurrent refresh, but run once more when this one ends so
+      // changes it may have read too early (e.g. a fill) aren't missed
+      this.refreshQueued = true;
       return;
     }
 
@@ -747,7 +2970,7 @@ class OrderManager {
 
     try {
       const latestPositions = await this.retryOperation(() =>
-        this.limitedGetPositions()
+        this.broker.getPositions()
       );
       const latestPositionMap = {};
       latestPositions.forEach((position) => {
@@ -757,19 +2980,12 @@ class OrderManager {
       // Update existing positions
       for (const symbol in this.positions) {
         if (latestPositionMap[symbol]) {
-          const latestQty = Math.abs(parseFloat(latestPositionMap[symbol].qty));
-          const latestAvgEntryPrice = parseFloat(
-            latestPositionMap[symbol].avg_entry_price
-          );
-          this.positions[symbol].qty = latestQty;
-          this.positions[symbol].avgEntryPrice = latestAvgEntryPrice;
-          this.positions[symbol].currentBid =
-            parseFloat(latestPositionMap[symbol].current_price) - 0.01; // Approximation
-          this.positions[symbol].currentAsk =
-            parseFloat(latestPositionMap[symbol].current_price) + 0.01; // Approximation
-          this.positions[symbol].currentPrice = parseFloat(
-            latestPositionMap[symbol].current_price
-          );
+          const latest = latestPositionMap[symbol];
+          this.positions[symbol].qty = latest.qty;
+          this.positions[symbol].avgEntryPrice = latest.avgEntryPrice;
+          this.positions[symbol].currentBid = latest.currentPrice - 0.01; // Approximation
+          this.positions[symbol].currentAsk = latest.currentPrice + 0.01; // Approximation
+          this.positions[symbol].currentPrice = latest.currentPrice;
 
           // Recalculate profit since avgEntryPrice might have changed
           this.positions[symbol].profitCents = (
@@ -780,40 +2996,32 @@ class OrderManager {
           ).toFixed(2);
 
           // Recalculate stopPrice and stopDescription based on current profitTargetsHit
-          const dynamicStop = this.calculateDynamicStopPrice(
-            this.positions[symbol].profitTargetsHit,
-            this.positions[symbol].avgEntryPrice,
-            this.positions[symbol].side
-          );
-          if (dynamicStop) {
-            this.positions[symbol].stopPrice = dynamicStop.stopPrice;
-            this.positions[symbol].stopCents = dynamicStop.stopCents;
-            this.positions[symbol].stopDescription = `Stop ${
-              this.positions[symbol].stopCents
-            }¢ ${
-              this.positions[symbol].stopCents > 0
-                ? 'above'
-                : this.positions[symbol].stopCents < 0
-                ? 'below'
-                : 'at'
-            } avg price`;
-          }
+          this.recalculateStop(this.positions[symbol]);
 
           // If quantity is zero, remove the position
-          if (latestQty === 0) {
-            this.removePosition(symbol);
+          if (latest.qty === 0) {
+            await this.closeOutPosition(symbol);
           }
         } else {
           // Position no longer exists; remove from tracking
-          this.removePosition(symbol);
+          await this.closeOutPosition(symbol);
         }
       }
 
+      // Keep broker stops in line with stop moves and partial exits
+      for (const symbol in this.positions) {
+        await this.syncProtectiveStop(this.positions[symbol]);
+      }
+
       // Add any new positions not currently tracked
       latestPositions.forEach((position) => {
         const symbol = position.symbol;
         if (!this.positions[symbol]) {
-          this.addPosition(position);
+          this.addPosition(position).catch((err) => {
+            const errorMessage = `Error adding position ${symbol}: ${err.message}`;
+            logger.error(errorMessage);
+            this.dashboard.logError(errorMessage);
+          });
         }
       });
 
@@ -826,6 +3034,11 @@ class OrderManager {
     } finally {
       this.isRefreshing = false;
     }
+
+    if (this.refreshQueued) {
+      this.refreshQueued = false;
+      await this.refreshPositions();
+    }
   }
 }
 
@@ -3,24 +3,90 @@
 const WebSocket = require('ws');
 const config = require('./config');
 const logger = require('./logger');
+const { isRegularHours, isExtendedHours } = require('./marketHours');
+
+// Channels a symbol can subscribe to: quotes, trades, minute and second bars
+const CHANNEL_EVENTS = ['Q', 'T', 'AM', 'A'];
 
 class PolygonClient {
   constructor() {
     this.apiKey = config.polygon.apiKey;
     this.ws = null;
-    this.subscribedSymbols = new Set();
+    this.subscribedSymbols = new Map(); // symbol => channels, e.g. ['Q', 'T']
     this.onQuote = null; // This should be set by the consumer
+    this.onTrade = null; // (symbol, price, size, timestamp) => {}, set by the consumer
+    this.onMinuteAggregate = null; // (symbol, bar) => {}, AM. bars, set by the consumer
+    this.onSecondAggregate = null; // (symbol, bar) => {}, A. bars, set by the consumer
+    this.recorder = null; // MarketDataRecorder for raw events, if recording
+
+    // Connection health
+    this.state = 'disconnected'; // connecting, connected, reconnecting, auth_failed
+    this.reconnectAttempts = 0;
+    this.heartbeatTimer = null;
+    this.awaitingPong = false;
+    this.onStateChange = null; // (state) => {}, set by the consumer
+
+    // Per-symbol quote freshness
+    this.lastQuoteAt = {}; // symbol => when its last quote was received (ms)
+    this.staleSymbols = new Set();
+    this.staleCheckTimer = null;
+    this.onStale = null; // (symbol, ageMs) => {}, set by the consumer
+    this.onFresh = null; // (symbol) => {}, set by the consumer
+  }
+
+  /**
+   * Records and reports a connection state change.
+   */
+  setState(state) {
+    if (state === this.state) {
+      return;
+    }
+    this.state = state;
+    if (this.onStateChange) {
+      this.onStateChange(state);
+    }
+  }
+
+  /**
+   * Returns the configured channels for a symbol.
+   */
+  getChannels(symbol) {
+    const { defaultChannels, symbolChannels } = config.polygonStream;
+    return symbolChannels[symbol] || defaultChannels;
+  }
+
+  /**
+   * Formats subscription params such as 'Q.AAPL,T.AAPL'.
+   */
+  formatParams(symbol, channels) {
+    return channels.map((channel) => `${channel}.${symbol}`).join(',');
   }
 
   connect() {
+    if (this.state !== 'reconnecting' && this.state !== 'auth_failed') {
+      this.setState('connecting');
+    }
     this.ws = new WebSocket(`wss://socket.polygon.io/stocks`);
 
+    if (!this.staleCheckTimer) {
+      this.staleCheckTimer = setInterval(
+        () => this.checkStaleQuotes(),
+        config.polygonStream.staleCheckMs
+      );
+    }
+
     this.ws.on('open', () => {
       logger.info('Polygon WebSocket connection opened.');
       this.ws.send(JSON.stringify({ action: 'auth', params: this.apiKey }));
+      this.startHeartbeat();
+    });
+
+    this.ws.on('pong', () => {
+      this.awaitingPong = false;
     });
 
     this.ws.on('message', (data) => {
+      const receivedAt = Date.now();
       let messages;
       try {
         messages = JSON.parse(data);
@@ -30,29 +96,49 @@ class PolygonClient {
       }
 
       messages.forEach((msg) => {
+        if (this.recorder) {
+          this.recorder.record(msg, receivedAt);
+        }
+
         if (msg.ev === 'status') {
           if (msg.status === 'auth_success') {
             logger.info('Polygon WebSocket authenticated.');
+            this.reconnectAttempts = 0;
+            this.setState('connected');
             // Resubscribe to any symbols after reconnecting
             if (this.subscribedSymbols.size > 0) {
               const symbols = Array.from(this.subscribedSymbols)
-                .map((sym) => `Q.${sym}`)
+                .map(([sym, channels]) => this.formatParams(sym, channels))
                 .join(',');
               this.ws.send(
                 JSON.stringify({ action: 'subscribe', params: symbols })
               );
             }
           } else if (msg.status === 'auth_failed') {
-            logger.error('Polygon WebSocket authentication failed.');
+            // Retrying a bad key quickly won't help; wait authRetryMs instead
+            logger.error(
+              `Polygon WebSocket authentication failed: ${msg.message}`
+            );
+            this.setState('auth_failed');
             this.ws.close();
           } else if (msg.status === 'connected') {
             logger.info('Polygon WebSocket connected.');
           }
-        } else if (msg.ev === 'Q' && this.onQuote) {
+        } else if (msg.ev === 'Q') {
           const symbol = msg.sym;
-          const bidPrice = parseFloat(msg.bp);
-          const askPrice = parseFloat(msg.ap);
-          this.onQuote(symbol, bidPrice, askPrice);
+          this.markQuoteReceived(symbol);
+          if (this.onQuote) {
+            const bidPrice = parseFloat(msg.bp);
+            const askPrice = parseFloat(msg.ap);
+            // msg.t is the SIP timestamp, used to judge the quote's age
+            this.onQuote(symbol, bidPrice, askPrice, msg.t || Date.now());
+          }
+        } else if (msg.ev === 'T' && this.onTrade) {
+          this.onTrade(msg.sym, parseFloat(msg.p), parseFloat(msg.s), msg.t);
+        } else if (msg.ev === 'AM' && this.onMinuteAggregate) {
+          this.onMinuteAggregate(msg.sym, this.parseAggregate(msg));
+        } else if (msg.ev === 'A' && this.onSecondAggregate) {
+          this.onSecondAggregate(msg.sym, this.parseAggregate(msg));
         }
       });
     });
@@ -63,30 +149,183 @@ class PolygonClient {
 
     this.ws.on('close', (code, reason) => {
       logger.warn(`Polygon WebSocket closed. Code: ${code}, Reason: ${reason}`);
-      setTimeout(() => this.connect(), 10000); // Reconnect after 10 seconds
+      this.stopHeartbeat();
+      this.scheduleReconnect();
     });
   }
 
-  subscribe(symbol) {
-    if (!this.subscribedSymbols.has(symbol)) {
-      this.subscribedSymbols.add(symbol);
-      if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-        this.ws.send(
-          JSON.stringify({ action: 'subscribe', params: `Q.${symbol}` })
-        );
-        logger.info(`Subscribed to ${symbol} quotes.`);
+  /**
+   * Reconnects after a network loss with exponential backoff and jitter,
+   * capped at reconnectMaxMs. After an auth failure, waits authRetryMs.
+   */
+  scheduleReconnect() {
+    const { reconnectInitialMs, reconnectMaxMs, authRetryMs } =
+      config.polygonStream;
+
+    let delay;
+    if (this.state === 'auth_failed') {
+      delay = authRetryMs;
+    } else {
+      const backoff = Math.min(
+        reconnectMaxMs,
+        reconnectInitialMs * 2 ** this.reconnectAttempts
+      );
+      delay = backoff + Math.random() * reconnectInitialMs;
+      this.reconnectAttempts += 1;
+      this.setState('reconnecting');
+    }
+
+    logger.info(`Reconnecting to Polygon in ${delay.toFixed(0)}ms...`);
+    setTimeout(() => this.connect(), delay);
+  }
+
+  /**
+   * Pings the socket every heartbeatIntervalMs. A socket that hasn't answered
+   * the previous ping is dead even if it looks open, so it's torn down and
+   * the close handler reconnects.
+   */
+  startHeartbeat() {
+    this.stopHeartbeat();
+    this.awaitingPong = false;
+    this.heartbeatTimer = setInterval(() => {
+      if (this.awaitingPong) {
+        logger.warn('Polygon WebSocket missed a heartbeat. Reconnecting.');
+        this.ws.terminate();
+        return;
       }
+      this.awaitingPong = true;
+      this.ws.ping();
+    }, config.polygonStream.heartbeatIntervalMs);
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Records a quote's arrival and reports the symbol fresh if it was stale.
+   */
+  markQuoteReceived(symbol) {
+    this.lastQuoteAt[symbol] = Date.now();
+    if (this.staleSymbols.delete(symbol) && this.onFresh) {
+      this.onFresh(symbol);
+    }
+  }
+
+  /**
+   * Reports quote-subscribed symbols that have gone staleQuoteMs without a
+   * quote. Only checked while the market is open, since quiet symbols
+   * legitimately go silent overnight.
+   */
+  checkStaleQuotes() {
+    if (!isRegularHours() && !isExtendedHours()) {
+      return;
+    }
+
+    const now = Date.now();
+    this.subscribedSymbols.forEach((channels, symbol) => {
+      if (!channels.includes('Q') || this.staleSymbols.has(symbol)) {
+        return;
+      }
+
+      const ageMs = now - this.lastQuoteAt[symbol];
+      if (ageMs > config.polygonStream.staleQuoteMs) {
+        this.staleSymbols.add(symbol);
+        if (this.onStale) {
+          this.onStale(symbol, ageMs);
+        }
+      }
+    });
+  }
+
+  /**
+   * Converts an AM. or A. message to a bar with times in ms.
+   */
+  parseAggregate(msg) {
+    return {
+      open: msg.o,
+      high: msg.h,
+      low: msg.l,
+      close: msg.c,
+      volume: msg.v,
+      vwap: msg.vw,
+      dayVolume: msg.av, // Accumulated volume for the day
+      start: msg.s,
+      end: msg.e,
+    };
+  }
+
+  /**
+   * Subscribes to a symbol's channels. Calling again with other channels adds
+   * them to the symbol's set.
+   * @param {Array} channels - Any of 'Q', 'T', 'AM', 'A' (defaults to the symbol's configured set).
+   * @returns {Array} - The channels that weren't already subscribed.
+   */
+  subscribe(symbol, channels = this.getChannels(symbol)) {
+    const current = this.subscribedSymbols.get(symbol) || [];
+    const added = channels.filter(
+      (channel) =>
+        CHANNEL_EVENTS.includes(channel) && !current.includes(channel)
+    );
+    if (added.length === 0) {
+      return added;
+    }
+
+    this.subscribedSymbols.set(symbol, [...current, ...added]);
+
+    // Symbols that haven't quoted yet are measured from when they were subscribed
+    if (added.includes('Q') && !this.lastQuoteAt[symbol]) {
+      this.lastQuoteAt[symbol] = Date.now();
+    }
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(
+        JSON.stringify({
+          action: 'subscribe',
+          params: this.formatParams(symbol, added),
+        })
+      );
+      logger.info(`Subscribed to ${symbol} ${added.join(', ')}.`);
     }
+    return added;
   }
 
-  unsubscribe(symbol) {
+  /**
+   * Unsubscribes from some of a symbol's channels, or all of them.
+   * @param {Array} only - Channels to drop (defaults to every subscribed channel).
+   */
+  unsubscribe(symbol, only = null) {
     if (this.subscribedSymbols.has(symbol)) {
-      this.subscribedSymbols.delete(symbol);
+      const current = this.subscribedSymbols.get(symbol);
+      const channels = only
+        ? current.filter((channel) => only.includes(channel))
+        : current;
+      const remaining = current.filter(
+        (channel) => !channels.includes(channel)
+      );
+      if (channels.length === 0) {
+        return;
+      }
+
+      if (remaining.length > 0) {
+        this.subscribedSymbols.set(symbol, remaining);
+        if (!remaining.includes('Q')) {
+          delete this.lastQuoteAt[symbol];
+          this.staleSymbols.delete(symbol);
+        }
+      } else {
+        this.subscribedSymbols.delete(symbol);
+        delete this.lastQuoteAt[symbol];
+        this.staleSymbols.delete(symbol);
+      }
       if (this.ws && this.ws.readyState === WebSocket.OPEN) {
         this.ws.send(
-          JSON.stringify({ action: 'unsubscribe', params: `Q.${symbol}` })
+          JSON.stringify({
+            action: 'unsubscribe',
+            params: this.formatParams(symbol, channels),
+          })
         );
-        logger.info(`Unsubscribed from ${symbol} quotes.`);
+        logger.info(`Unsubscribed from ${symbol} ${channels.join(', ')}.`);
       }
     }
   }
@@ -1,41 +1,303 @@
 const axios = require('axios');
 const config = require('./config');
+const logger = require('./logger');
+const {
+  PREMARKET_OPEN,
+  REGULAR_OPEN,
+  REGULAR_CLOSE,
+  getExchangeTime,
+} = require('./marketHours');
 
 class PolygonRestClient {
   constructor(apiKey = config.polygon.apiKey) {
     this.apiKey = apiKey;
     this.baseUrl = 'https://api.polygon.io';
+    this.cache = {}; // symbol => { key => { value, expiresAt } }
   }
 
-  async getIntradayHigh(symbol) {
-    // Get today's UTC date
-    const today = new Date();
-    const yyyy = today.getUTCFullYear();
-    const mm = String(today.getUTCMonth() + 1).padStart(2, '0');
-    const dd = String(today.getUTCDate()).padStart(2, '0');
-    const dateStr = `${yyyy}-${mm}-${dd}`;
-
-    // start at midnight UTC, end now
-    const start = new Date(`${dateStr}T00:00:00Z`).getTime();
-    const end = Date.now();
-
-    // Polygon aggregates endpoint
-    const url = `${this.baseUrl}/v2/aggs/ticker/${symbol}/range/1/minute/${start}/${end}?adjusted=true&sort=asc&limit=50000&apiKey=${this.apiKey}`;
-
-    const response = await axios.get(url);
-    const data = response.data;
-
-    if (data.results && data.results.length > 0) {
-      let maxHigh = Number.NEGATIVE_INFINITY;
-      data.results.forEach((bar) => {
-        if (bar.h > maxHigh) {
-          maxHigh = bar.h;
+  /**
+   * Sends a GET request to Polygon, backing off and retrying on HTTP 429.
+   * @param {string} url - A path under baseUrl, or a full URL such as next_url.
+   * @param {Object} params - Query parameters; the API key is added here.
+   * @returns {Object} - The response body.
+   */
+  async request(url, params = {}) {
+    const { maxRetries, retryInitialMs } = config.polygonRest;
+    const fullUrl = url.startsWith('http') ? url : `${this.baseUrl}${url}`;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await axios.get(fullUrl, {
+          params: { ...params, apiKey: this.apiKey },
+        });
+        return response.data;
+      } catch (err) {
+        if (
+          !err.response ||
+          err.response.status !== 429 ||
+          attempt >= maxRetries
+        ) {
+          throw err;
+        }
+
+        // Prefer the server's Retry-After (seconds) over our own backoff
+        const retryAfter = parseFloat(err.response.headers['retry-after']);
+        const delay = retryAfter
+          ? retryAfter * 1000
+          : retryInitialMs * 2 ** attempt;
+        logger.warn(
+          `Polygon rate limit hit. Retrying in ${delay}ms (attempt ${
+            attempt + 1
+          }/${maxRetries}).`
+        );
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Returns a cached value for the symbol, fetching it when missing or expired.
+   * Failed fetches are not cached.
+   */
+  async cached(symbol, key, ttlMs, fetcher) {
+    const entry = this.cache[symbol] && this.cache[symbol][key];
+    if (entry && entry.expiresAt > Date.now()) {
+      return entry.value;
+    }
+
+    const value = await fetcher();
+    this.evictExpired();
+    const symbolCache = this.cache[symbol] || (this.cache[symbol] = {});
+    symbolCache[key] = { value, expiresAt: Date.now() + ttlMs };
+    return value;
+  }
+
+  /**
+   * Drops every expired entry, so keys that are never asked for again (such as
+   * an earlier session's bars, or symbols no longer traded) don't pile up in a
+   * long-running process.
+   */
+  evictExpired() {
+    const now = Date.now();
+    Object.keys(this.cache).forEach((symbol) => {
+      const symbolCache = this.cache[symbol];
+      Object.keys(symbolCache).forEach((key) => {
+        if (symbolCache[key].expiresAt <= now) {
+          delete symbolCache[key];
         }
       });
-      return maxHigh;
+      if (Object.keys(symbolCache).length === 0) {
+        delete this.cache[symbol];
+      }
+    });
+  }
+
+  /**
+   * Drops cached data for one symbol, or for all symbols.
+   */
+  clearCache(symbol = null) {
+    if (symbol) {
+      delete this.cache[symbol];
     } else {
-      return 0;
+      this.cache = {};
+    }
+  }
+
+  /**
+   * Fetches aggregate bars, following next_url until every page is read.
+   * @param {number|string} from - Start as ms timestamp or YYYY-MM-DD.
+   * @param {number|string} to - End as ms timestamp or YYYY-MM-DD.
+   * @returns {Array} - Polygon bars ({ t, o, h, l, c, v, vw }), oldest first.
+   */
+  async getAggregates(symbol, multiplier, timespan, from, to) {
+    let data = await this.request(
+      `/v2/aggs/ticker/${symbol}/range/${multiplier}/${timespan}/${from}/${to}`,
+      { adjusted: true, sort: 'asc', limit: 50000 }
+    );
+    const bars = [...(data.results || [])];
+
+    while (data.next_url) {
+      data = await this.request(data.next_url);
+      bars.push(...(data.results || []));
+    }
+    return bars;
+  }
+
+  /**
+   * Returns today's minute bars (exchange date), premarket through now.
+   */
+  async getSessionBars(symbol) {
+    const { dateStr } = getExchangeTime();
+    const ttlMs = config.polygonRest.cacheTtlMs.sessionBars;
+
+    return this.cached(symbol, `sessionBars:${dateStr}`, ttlMs, async () => {
+      // A day back always covers midnight in the exchange time zone
+      const end = Date.now();
+      const start = end - 24 * 60 * 60 * 1000;
+      const bars = await this.getAggregates(symbol, 1, 'minute', start, end);
+
+      return bars
+        .map((bar) => ({
+          ...bar,
+          exchangeTime: getExchangeTime(new Date(bar.t)),
+        }))
+        .filter((bar) => bar.exchangeTime.dateStr === dateStr);
+    });
+  }
+
+  /**
+   * Finds the high and low of today's bars within a session window.
+   * @param {number} startMinutes - Window start, minutes since midnight (inclusive).
+   * @param {number} endMinutes - Window end, minutes since midnight (exclusive).
+   * @returns {Object|null} - { high, low }, or null with no bars in the window.
+   */
+  async getSessionRange(symbol, startMinutes, endMinutes) {
+    const bars = (await this.getSessionBars(symbol)).filter(
+      (bar) =>
+        bar.exchangeTime.minutes >= startMinutes &&
+        bar.exchangeTime.minutes < endMinutes
+    );
+    if (bars.length === 0) {
+      return null;
     }
+
+    return {
+      high: Math.max(...bars.map((bar) => bar.h)),
+      low: Math.min(...bars.map((bar) => bar.l)),
+    };
+  }
+
+  /**
+   * Returns today's premarket (4:00-9:30) high and low, or null.
+   */
+  async getPremarketRange(symbol) {
+    return this.getSessionRange(symbol, PREMARKET_OPEN, REGULAR_OPEN);
+  }
+
+  /**
+   * Returns today's regular-session (9:30-16:00) high and low, or null.
+   */
+  async getRegularSessionRange(symbol) {
+    return this.getSessionRange(symbol, REGULAR_OPEN, REGULAR_CLOSE);
+  }
+
+  /**
+   * Returns today's high across all sessions so far, or 0 without bars.
+   */
+  async getIntradayHigh(symbol) {
+    const range = await this.getSessionRange(symbol, 0, 24 * 60);
+    return range ? range.high : 0;
+  }
+
+  /**
+   * Computes VWAP for the regular session, or for the premarket before the open.
+   * @returns {number|null} - The VWAP, or null without volume.
+   */
+  async getVwap(symbol) {
+    const bars = await this.getSessionBars(symbol);
+    const regularBars = bars.filter(
+      (bar) =>
+        bar.exchangeTime.minutes >= REGULAR_OPEN &&
+        bar.exchangeTime.minutes < REGULAR_CLOSE
+    );
+    const sessionBars =
+      regularBars.length > 0
+        ? regularBars
+        : bars.filter((bar) => bar.exchangeTime.minutes < REGULAR_OPEN);
+
+    let volume = 0;
+    let notional = 0;
+    sessionBars.forEach((bar) => {
+      // Fall back to the typical price on bars without a VWAP
+      const price = bar.vw !== undefined ? bar.vw : (bar.h + bar.l + bar.c) / 3;
+      volume += bar.v;
+      notional += price * bar.v;
+    });
+    return volume > 0 ? notional / volume : null;
+  }
+
+  /**
+   * Returns the previous trading day's OHLC and volume, or null.
+   */
+  async getPreviousClose(symbol) {
+    const ttlMs = config.polygonRest.cacheTtlMs.previousClose;
+    return this.cached(symbol, 'previousClose', ttlMs, async () => {
+      const data = await this.request(`/v2/aggs/ticker/${symbol}/prev`, {
+        adjusted: true,
+      });
+      const bar = data.results && data.results[0];
+      return bar
+        ? {
+            open: bar.o,
+            high: bar.h,
+            low: bar.l,
+            close: bar.c,
+            volume: bar.v,
+            time: bar.t,
+          }
+        : null;
+    });
+  }
+
+  /**
+   * Returns the latest quote and trade from Polygon's ticker snapshot.
+   * @returns {Object} - { bid, ask, quoteTime, lastPrice, lastSize, tradeTime }
+   *   with times in ms. Fields are null when Polygon has no data for them.
+   */
+  async getSnapshot(symbol) {
+    const ttlMs = config.polygonRest.cacheTtlMs.snapshot;
+    return this.cached(symbol, 'snapshot', ttlMs, async () => {
+      const data = await this.request(
+        `/v2/snapshot/locale/us/markets/stocks/tickers/${symbol}`
+      );
+      const ticker = data.ticker || {};
+      const quote = ticker.lastQuote || {};
+      const trade = ticker.lastTrade || {};
+
+      // Snapshot timestamps are in nanoseconds
+      return {
+        bid: quote.p !== undefined ? quote.p : null,
+        ask: quote.P !== undefined ? quote.P : null,
+        quoteTime: quote.t ? Math.floor(quote.t / 1e6) : null,
+        lastPrice: trade.p !== undefined ? trade.p : null,
+        lastSize: trade.s !== undefined ? trade.s : null,
+        tradeTime: trade.t ? Math.floor(trade.t / 1e6) : null,
+      };
+    });
+  }
+
+  async getAverageTrueRange(symbol, timespan = 'minute', period = 14) {
+    const ttlMs = config.polygonRest.cacheTtlMs.atr;
+    return this.cached(symbol, `atr:${timespan}:${period}`, ttlMs, async () => {
+      // Look back far enough to cover weekends and holidays, newest bars first
+      const lookbackDays = timespan === 'day' ? period * 2 + 10 : 5;
+      const end = Date.now();
+      const start = end - lookbackDays * 24 * 60 * 60 * 1000;
+
+      const limit = period + 1;
+
+      const data = await this.request(
+        `/v2/aggs/ticker/${symbol}/range/1/${timespan}/${start}/${end}`,
+        { adjusted: true, sort: 'desc', limit }
+      );
+      const bars = (data.results || []).reverse();
+
+      // Need one extra bar for the first true range's previous close
+      if (bars.length < limit) {
+        return null;
+      }
+
+      let totalRange = 0;
+      for (let i = 1; i < bars.length; i++) {
+        const prevClose = bars[i - 1].c;
+        totalRange += Math.max(
+          bars[i].h - bars[i].l,
+          Math.abs(bars[i].h - prevClose),
+          Math.abs(bars[i].l - prevClose)
+        );
+      }
+      return totalRange / (bars.length - 1);
+    });
   }
 }
 
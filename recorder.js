@@ -0,0 +1,114 @@
+// recorder.js
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const config = require('./config');
+const logger = require('./logger');
+const { getExchangeTime } = require('./marketHours');
+
+class MarketDataRecorder {
+  constructor(settings = config.recorder) {
+    this.directory = path.resolve(__dirname, settings.directory);
+    this.gzip = settings.gzip;
+    this.symbols = new Set(settings.symbols);
+    this.maxFileBytes = settings.maxFileBytes;
+
+    this.output = null; // Stream lines are written to (gzip or file)
+    this.fileStream = null;
+    this.filePath = null;
+    this.fileDate = null; // Exchange date of the open file
+    this.filePart = 0; // Part number of the open file within its date
+    this.bytesWritten = 0; // Uncompressed bytes in the open file
+  }
+
+  /**
+   * Writes one raw Polygon event as an NDJSON line with its receive time.
+   * Writes are buffered by the stream, so this doesn't wait on disk.
+   * @param {Object} event - The parsed Polygon message.
+   * @param {number} receivedAt - When the frame arrived, in ms.
+   */
+  record(event, receivedAt = Date.now()) {
+    // Status events have no symbol and are always kept
+    if (this.symbols.size > 0 && event.sym && !this.symbols.has(event.sym)) {
+      return;
+    }
+
+    const line = `${JSON.stringify({ receivedAt, event })}\n`;
+    const { dateStr } = getExchangeTime(new Date(receivedAt));
+    if (
+      !this.output ||
+      dateStr !== this.fileDate ||
+      this.bytesWritten + line.length > this.maxFileBytes
+    ) {
+      this.rotate(dateStr);
+    }
+
+    this.output.write(line);
+    this.bytesWritten += line.length;
+  }
+
+  /**
+   * Closes the open file and starts the next one for the date. Each file gets
+   * the next unused part number, so a new session never appends to an old one.
+   */
+  rotate(dateStr) {
+    this.closeFile();
+
+    fs.mkdirSync(this.directory, { recursive: true });
+    const extension = this.gzip ? '.ndjson.gz' : '.ndjson';
+    let part = dateStr === this.fileDate ? this.filePart : 0;
+    let filePath;
+    do {
+      part += 1;
+      filePath = path.join(
+        this.directory,
+        `polygon-${dateStr}-${String(part).padStart(3, '0')}${extension}`
+      );
+    } while (fs.existsSync(filePath));
+
+    this.fileStream = fs.createWriteStream(filePath);
+    this.fileStream.on('error', (err) => {
+      logger.error(`Error writing ${filePath}: ${err.message}`);
+    });
+    if (this.gzip) {
+      this.output = zlib.createGzip();
+      this.output.pipe(this.fileStream);
+    } else {
+      this.output = this.fileStream;
+    }
+
+    this.filePath = filePath;
+    this.fileDate = dateStr;
+    this.filePart = part;
+    this.bytesWritten = 0;
+    logger.info(`Recording Polygon events to ${filePath}`);
+  }
+
+  /**
+   * Ends the open file. With gzip, ending the gzip stream flushes it and ends
+   * the file behind it.
+   * @returns {Promise} - Resolves once the file is fully written.
+   */
+  closeFile() {
+    if (!this.output) {
+      return Promise.resolve();
+    }
+
+    const fileStream = this.fileStream;
+    const done = new Promise((resolve) => fileStream.on('close', resolve));
+    this.output.end();
+    this.output = null;
+    this.fileStream = null;
+    return done;
+  }
+
+  /**
+   * Flushes and closes the recording, e.g. on shutdown.
+   */
+  async close() {
+    await this.closeFile();
+  }
+}
+
+module.exports = MarketDataRecorder;
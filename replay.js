@@ -0,0 +1,488 @@
+// replay.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const config = require('./config');
+const logger = require('./logger');
+const OrderManager = require('./orderManager');
+const PolygonClient = require('./polygon');
+const Reporter = require('./reporter');
+const SimulatedBroker = require('./simulatedBroker');
+const TradeJournal = require('./journal');
+const SimulatedClock = require('./simClock');
+const { getExchangeTime } = require('./marketHours');
+
+// How long to keep the clock running after the last event so exits in flight land
+const SETTLE_AFTER_TAPE_MS = 10000;
+
+/**
+ * Parses a recorder file: NDJSON lines of { receivedAt, event }, or bare
+ * Polygon events, which are replayed at their own timestamps.
+ */
+function parseRecording(text) {
+  const events = [];
+  text.split('\n').forEach((line) => {
+    if (!line.trim()) {
+      return;
+    }
+    const record = JSON.parse(line);
+    const msg = record.event || record;
+    const time = record.receivedAt || msg.t || msg.e;
+
+    if (msg.ev === 'Q') {
+      events.push({
+        time,
+        type: 'quote',
+        symbol: msg.sym,
+        bid: parseFloat(msg.bp),
+        ask: parseFloat(msg.ap),
+        quoteTime: msg.t || time,
+      });
+    } else if (msg.ev === 'T') {
+      events.push({
+        time,
+        type: 'trade',
+        symbol: msg.sym,
+        price: parseFloat(msg.p),
+        size: parseFloat(msg.s),
+        tradeTime: msg.t || time,
+      });
+    } else if (msg.ev === 'AM' || msg.ev === 'A') {
+      events.push({
+        time,
+        type: 'bar',
+        symbol: msg.sym,
+        timespan: msg.ev === 'AM' ? 'minute' : 'second',
+        bar: PolygonClient.prototype.parseAggregate(msg),
+      });
+    }
+  });
+  return events;
+}
+
+/**
+ * Turns a Polygon aggregates response into quotes: each bar walks open, then
+ * the nearer extreme, the far extreme and the close, with the ask spreadCents
+ * above the price. The bar itself is replayed as it closes.
+ */
+function parseAggregateDump(text, filePath, spreadCents) {
+  const data = JSON.parse(text);
+  const bars = Array.isArray(data) ? data : data.results || [];
+  const symbol = data.ticker || path.basename(filePath).split(/[.-]/)[0];
+
+  // Bar length from the closest pair of bars, one minute if there's only one
+  let duration = 60000;
+  for (let i = 1; i < bars.length; i++) {
+    const gap = bars[i].t - bars[i - 1].t;
+    if (gap > 0 && (i === 1 || gap < duration)) {
+      duration = gap;
+    }
+  }
+
+  const events = [];
+  bars.forEach((bar) => {
+    const prices =
+      bar.c >= bar.o
+        ? [bar.o, bar.l, bar.h, bar.c]
+        : [bar.o, bar.h, bar.l, bar.c];
+    const times = [
+      bar.t,
+      bar.t + duration / 4,
+      bar.t + duration / 2,
+      bar.t + duration - 1,
+    ];
+    prices.forEach((price, index) => {
+      events.push({
+        time: Math.floor(times[index]),
+        type: 'quote',
+        symbol,
+        bid: price,
+        ask: parseFloat((price + spreadCents / 100).toFixed(4)),
+        quoteTime: Math.floor(times[index]),
+      });
+    });
+    events.push({
+      time: bar.t + duration,
+      type: 'bar',
+      symbol,
+      timespan: duration >= 60000 ? 'minute' : 'second',
+      bar: PolygonClient.prototype.parseAggregate({
+        ...bar,
+        s: bar.t,
+        e: bar.t + duration,
+      }),
+    });
+  });
+  return events;
+}
+
+/**
+ * Loads and merges tape files into one list of events, oldest first.
+ * Files ending in .ndjson(.gz) are recordings; anything else is read as a
+ * Polygon aggregates dump.
+ */
+function loadTape(filePaths, spreadCents = 1) {
+  const events = [];
+  filePaths.forEach((filePath) => {
+    let content = fs.readFileSync(filePath);
+    const baseName = filePath.replace(/\.gz$/, '');
+    if (baseName !== filePath) {
+      content = zlib.gunzipSync(content);
+    }
+
+    const text = content.toString('utf8');
+    events.push(
+      ...(path.extname(baseName).toLowerCase() === '.ndjson'
+        ? parseRecording(text)
+        : parseAggregateDump(text, filePath, spreadCents))
+    );
+  });
+
+  // Stable, so events with the same time keep their file order
+  return events.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Stands in for the dashboard during a replay, printing logs at simulated
+ * time when verbose.
+ */
+function createReplayDashboard(verbose) {
+  const log = (level) => (message) => {
+    if (verbose) {
+      console.log(`${new Date().toISOString()} [${level}] ${message}`);
+    }
+  };
+  return Object.assign(new Reporter(), {
+    logInfo: log('INFO'),
+    logWarning: log('WARN'),
+    logError: log('ERROR'),
+  });
+}
+
+// Reference data isn't on the tape; ATR levels fall back to their cent/percent values
+const replayRestClient = {
+  getAverageTrueRange: async () => null,
+  getIntradayHigh: async () => 0,
+  getSnapshot: async () => ({ bid: null, ask: null, quoteTime: null }),
+};
+
+/**
+ * Replays a tape through OrderManager on a simulated clock and returns the
+ * round trips it made. Each entry opens a position at the ask (long) or bid
+ * (short) of the first quote at or after its time; exits are left entirely to
+ * OrderManager.
+ * @param {Array} events - From loadTape().
+ * @param {Object} options - { settings (orderSettings overrides), entries
+ *   ([{ symbol, side, qty, time }]), verbose }.
+ * @returns {Object} - { trades, summary }. Positions still open when the tape
+ *   ends are marked at the last quote with closeReason 'open'.
+ */
+async function runReplay(events, { settings = {}, entries, verbose = false }) {
+  if (events.length === 0) {
+    throw new Error('The tape has no events.');
+  }
+
+  // Replay against orderSettings alone, away from live state and log files
+  const stateFile = path.join(os.tmpdir(), `replay-state-${process.pid}.json`);
+  const savedConfig = {
+    orderSettings: config.orderSettings,
+    profileAssignment: config.profileAssignment,
+    entry: config.entry,
+    persistence: config.persistence,
+  };
+  const savedSilent = logger.silent;
+  config.orderSettings = { ...config.orderSettings, ...settings };
+  config.profileAssignment = { tags: {}, symbols: {}, priceTiers: [] };
+  config.entry = { ...config.entry, enabled: false };
+  config.persistence = {
+    ...config.persistence,
+    stateFile,
+    simulatedStateFile: stateFile,
+  };
+  logger.silent = true;
+
+  const pendingEntries = [...entries].sort((a, b) => a.time - b.time);
+  const clock = new SimulatedClock(events[0].time);
+  clock.install();
+  try {
+    // Fills use the simulatedBroker latency and slippage settings
+    const broker = new SimulatedBroker({
+      ...config.simulatedBroker,
+      startingPositions: [],
+    });
+    const polygon = {
+      subscribe: () => [],
+      unsubscribe() {},
+      getChannels: () => [],
+    };
+    const orderManager = new OrderManager(
+      createReplayDashboard(verbose),
+      polygon,
+      broker
+    );
+    orderManager.restClient = replayRestClient;
+    broker.onOrderUpdate = (event, order) =>
+      orderManager.onOrderUpdate(event, order);
+
+    for (const event of events) {
+      await clock.advanceTo(event.time);
+
+      if (event.type === 'quote') {
+        broker.onQuote(event.symbol, event.bid, event.ask);
+
+        const entry = pendingEntries.find(
+          (e) => e.symbol === event.symbol && e.time <= event.time
+        );
+        if (entry && !broker.positions[event.symbol]) {
+          pendingEntries.splice(pendingEntries.indexOf(entry), 1);
+          broker.openPosition(
+            event.symbol,
+            entry.side,
+            entry.qty,
+            entry.side === 'buy' ? event.ask : event.bid
+          );
+        }
+
+        orderManager.onQuoteUpdate(
+          event.symbol,
+          event.bid,
+          event.ask,
+          event.quoteTime
+        );
+      } else if (event.type === 'trade') {
+        orderManager.onTradePrint(
+          event.symbol,
+          event.price,
+          event.size,
+          event.tradeTime
+        );
+      } else if (event.type === 'bar') {
+        orderManager.onAggregate(event.symbol, event.bar, event.timespan);
+      }
+    }
+    await clock.advanceTo(clock.now() + SETTLE_AFTER_TAPE_MS);
+
+    const openTrades = Object.values(orderManager.positions).map((pos) => ({
+      ...new TradeJournal().recordTrade(pos),
+      closeReason: 'open',
+    }));
+    const trades = [...orderManager.journal.trades, ...openTrades];
+    return { trades, summary: summarizeTrades(trades) };
+  } finally {
+    clock.uninstall();
+    Object.assign(config, savedConfig);
+    logger.silent = savedSilent;
+    [stateFile, `${stateFile}.tmp`].forEach((file) => {
+      if (fs.existsSync(file)) {
+        fs.unlinkSync(file);
+      }
+    });
+  }
+}
+
+/**
+ * Rolls round trips up into the stats compared across runs.
+ */
+function summarizeTrades(trades) {
+  const pnls = trades.map((trade) => trade.realizedPnl);
+  const grossWin = pnls.filter((p) => p > 0).reduce((a, b) => a + b, 0);
+  const grossLoss = -pnls.filter((p) => p < 0).reduce((a, b) => a + b, 0);
+  const realizedPnl = pnls.reduce((a, b) => a + b, 0);
+  const winners = pnls.filter((p) => p > 0).length;
+
+  return {
+    trades: trades.length,
+    winners,
+    losers: pnls.filter((p) => p < 0).length,
+    winRate:
+      trades.length > 0
+        ? parseFloat(((winners / trades.length) * 100).toFixed(1))
+        : 0,
+    realizedPnl: parseFloat(realizedPnl.toFixed(2)),
+    avgPnl:
+      trades.length > 0
+        ? parseFloat((realizedPnl / trades.length).toFixed(2))
+        : 0,
+    profitFactor:
+      grossLoss > 0 ? parseFloat((grossWin / grossLoss).toFixed(2)) : null,
+    largestWin: Math.max(0, ...pnls),
+    largestLoss: Math.min(0, ...pnls),
+  };
+}
+
+/**
+ * Expands a sweep of { orderSettingsKey: [candidate, ...] } into every
+ * combination of candidates.
+ */
+function expandSweep(sweep) {
+  return Object.keys(sweep).reduce(
+    (combos, key) =>
+      combos.flatMap((combo) =>
+        sweep[key].map((value) => ({ ...combo, [key]: value }))
+      ),
+    [{}]
+  );
+}
+
+/**
+ * Describes a sweep combination in a table cell, e.g. targets "5,10,20".
+ */
+function describeSetting(key, value) {
+  const levelKey = { profitTargets: 'target', dynamicStops: 'stop' }[key];
+  if (!levelKey || !Array.isArray(value)) {
+    return JSON.stringify(value);
+  }
+  return value
+    .map((level) => {
+      if (level[`${levelKey}Atr`] !== undefined) {
+        return `${level[`${levelKey}Atr`]}ATR`;
+      }
+      if (level[`${levelKey}Percent`] !== undefined) {
+        return `${level[`${levelKey}Percent`]}%`;
+      }
+      return `${level[`${levelKey}Cents`]}`;
+    })
+    .join(',');
+}
+
+/**
+ * Builds the entries to replay: from an entries file when given, otherwise one
+ * per symbol at its first quote.
+ */
+function buildEntries(events, { entriesFile, side, qty }) {
+  if (entriesFile) {
+    return JSON.parse(fs.readFileSync(entriesFile, 'utf8')).map((entry) => ({
+      symbol: entry.symbol,
+      side: entry.side || side,
+      qty: entry.qty || qty,
+      time: entry.time ? new Date(entry.time).getTime() : 0,
+    }));
+  }
+
+  const symbols = [
+    ...new Set(events.filter((e) => e.type === 'quote').map((e) => e.symbol)),
+  ];
+  return symbols.map((symbol) => ({ symbol, side, qty, time: 0 }));
+}
+
+function formatTradeRow(trade) {
+  const exchangeTime = getExchangeTime(new Date(trade.openedAt));
+  const hours = String(Math.floor(exchangeTime.minutes / 60)).padStart(2, '0');
+  const minutes = String(exchangeTime.minutes % 60).padStart(2, '0');
+  return {
+    date: trade.date,
+    opened: `${hours}:${minutes}`,
+    symbol: trade.symbol,
+    side: trade.side,
+    qty: trade.qty,
+    entry: trade.avgEntryPrice,
+    exit: trade.avgExitPrice,
+    pnl: trade.realizedPnl,
+    centsPerShare: trade.realizedCentsPerShare,
+    holdMinutes: trade.holdMinutes,
+    scaleOuts: trade.scaleOuts,
+    closeReason: trade.closeReason,
+  };
+}
+
+/**
+ * Parses command line options; everything that isn't an option is a tape file.
+ */
+function parseArgs(argv) {
+  const options = {
+    files: [],
+    settingsFile: null,
+    sweepFile: null,
+    entriesFile: null,
+    side: 'buy',
+    qty: 100,
+    spreadCents: 1,
+    verbose: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--settings') {
+      options.settingsFile = argv[++i];
+    } else if (arg === '--sweep') {
+      options.sweepFile = argv[++i];
+    } else if (arg === '--entries') {
+      options.entriesFile = argv[++i];
+    } else if (arg === '--side') {
+      options.side = argv[++i];
+    } else if (arg === '--qty') {
+      options.qty = parseInt(argv[++i], 10);
+    } else if (arg === '--spread') {
+      options.spreadCents = parseFloat(argv[++i]);
+    } else if (arg === '--verbose') {
+      options.verbose = true;
+    } else {
+      options.files.push(arg);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.files.length === 0) {
+    console.log(
+      'Usage: node replay.js [--settings file.json] [--sweep file.json] [--entries file.json]\n' +
+        '                      [--side buy|sell] [--qty N] [--spread cents] [--verbose] <tape files...>'
+    );
+    process.exit(1);
+  }
+
+  const events = loadTape(options.files, options.spreadCents);
+  const entries = buildEntries(events, options);
+  const settings = options.settingsFile
+    ? JSON.parse(fs.readFileSync(options.settingsFile, 'utf8'))
+    : {};
+
+  if (!options.sweepFile) {
+    const { trades, summary } = await runReplay(events, {
+      settings,
+      entries,
+      verbose: options.verbose,
+    });
+    console.table(trades.map(formatTradeRow));
+    console.table([summary]);
+    return;
+  }
+
+  const sweep = JSON.parse(fs.readFileSync(options.sweepFile, 'utf8'));
+  const combos = expandSweep(sweep);
+  const results = [];
+  for (const [index, combo] of combos.entries()) {
+    console.log(`Run ${index + 1}/${combos.length}...`);
+    const { summary } = await runReplay(events, {
+      settings: { ...settings, ...combo },
+      entries,
+      verbose: options.verbose,
+    });
+
+    const row = {};
+    Object.keys(combo).forEach((key) => {
+      row[key] = describeSetting(key, combo[key]);
+    });
+    results.push({ ...row, ...summary });
+  }
+  console.table(results.sort((a, b) => b.realizedPnl - a.realizedPnl));
+}
+
+module.exports = {
+  loadTape,
+  runReplay,
+  summarizeTrades,
+  expandSweep,
+};
+
+// Usage: node replay.js [options] <tape files...>
+// Tapes are recorder files (.ndjson or .ndjson.gz) or Polygon aggregate dumps (.json).
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(`Replay failed: ${err.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,96 @@
+// reporter.js
+
+const config = require('./config');
+
+/**
+ * Reporting contract shared by the blessed Dashboard and the HeadlessReporter.
+ * OrderManager, the risk manager, the scheduler and index.js report through
+ * these methods only, so the app runs the same with or without a terminal UI.
+ * The reporting methods are no-ops here; implementations override what they show.
+ */
+class Reporter {
+  constructor() {
+    this.onQuit = null; // async () => {}, set by the consumer to clean up before exiting
+  }
+
+  /**
+   * @param {string} message - The message to log.
+   */
+  logInfo(message) {}
+
+  /**
+   * @param {string} message - The warning message to log.
+   */
+  logWarning(message) {}
+
+  /**
+   * @param {string} message - The error message to log.
+   */
+  logError(message) {}
+
+  /**
+   * Determines whether a message should be shown rather than only logged to file.
+   * @param {string} message - The message to evaluate.
+   * @returns {boolean} - True if the message should be displayed; false otherwise.
+   */
+  shouldDisplayMessage(message) {
+    const excludedMessages = config.logging.excludedMessages || [
+      'Already refreshing positions. Skipping this interval.',
+      'Already polling order statuses. Skipping this interval.',
+      // Add any other messages you want to keep off the dashboard
+    ];
+
+    // Check if the message includes any of the excluded phrases
+    return !excludedMessages.some((excludedMsg) =>
+      message.includes(excludedMsg)
+    );
+  }
+
+  /**
+   * @param {Array} positions - OrderManager position objects.
+   */
+  updatePositions(positions) {}
+
+  /**
+   * @param {Array} orders - Open orders, in the broker order shape (see broker.js).
+   */
+  updateOrders(orders) {}
+
+  /**
+   * @param {Object} accountSummary - Formatted account figures from index.js.
+   */
+  updateAccountSummary(accountSummary) {}
+
+  /**
+   * @param {string|null} reason - Why trading is halted, or null once it resumes.
+   */
+  setHalted(reason) {}
+
+  /**
+   * @param {string|null} description - e.g. 'Today 15:55 Flatten all positions'.
+   */
+  setNextScheduledAction(description) {}
+
+  /**
+   * @param {string} state - Polygon connection state, e.g. 'connected'.
+   */
+  setFeedState(state) {}
+
+  /**
+   * @param {Array} symbols - Symbols without recent quotes.
+   */
+  setStaleSymbols(symbols) {}
+
+  /**
+   * Hooks up manual position commands, where the reporter offers any.
+   * @param {OrderManager} orderManager - The order manager the commands act on.
+   */
+  bindPositionCommands(orderManager) {}
+
+  /**
+   * Releases the reporter's terminal or files before the process exits.
+   */
+  async close() {}
+}
+
+module.exports = Reporter;
@@ -0,0 +1,42 @@
+// reporterGroup.js
+
+const Reporter = require('./reporter');
+
+// Reporter methods forwarded to every member
+const FORWARDED_METHODS = [
+  'logInfo',
+  'logWarning',
+  'logError',
+  'updatePositions',
+  'updateOrders',
+  'updateAccountSummary',
+  'setHalted',
+  'setNextScheduledAction',
+  'setFeedState',
+  'setStaleSymbols',
+  'bindPositionCommands',
+];
+
+/**
+ * Sends everything reported to several reporters, e.g. the dashboard and the
+ * control API. Quit handling stays with each member; set onQuit on the one
+ * that has quit keys.
+ */
+class ReporterGroup extends Reporter {
+  constructor(reporters) {
+    super();
+    this.reporters = reporters;
+    FORWARDED_METHODS.forEach((method) => {
+      this[method] = (...args) =>
+        this.reporters.forEach((reporter) => reporter[method](...args));
+    });
+  }
+
+  async close() {
+    for (const reporter of this.reporters) {
+      await reporter.close();
+    }
+  }
+}
+
+module.exports = ReporterGroup;
@@ -0,0 +1,117 @@
+// riskManager.js
+
+const config = require('./config');
+const logger = require('./logger');
+const { getExchangeTime } = require('./marketHours');
+
+class RiskManager {
+  constructor(dashboard, orderManager) {
+    this.dashboard = dashboard;
+    this.orderManager = orderManager;
+    this.sessionDate = null; // Exchange date the peak below belongs to
+    this.peakEquity = null; // Highest equity seen this session
+    this.isHalting = false; // A halt's flatten is in progress
+  }
+
+  /**
+   * Checks account-level limits and halts trading on the first breach.
+   * @param {Object} account - { equity, lastEquity, exposure } in dollars.
+   * @returns {Object} - { peakEquity, drawdown } for display.
+   */
+  evaluate({ equity, lastEquity, exposure }) {
+    const { dateStr } = getExchangeTime();
+    if (dateStr !== this.sessionDate) {
+      this.sessionDate = dateStr;
+      this.peakEquity = null;
+    }
+    this.peakEquity = Math.max(this.peakEquity || equity, equity);
+
+    const pnl = equity - lastEquity;
+    const drawdown = this.peakEquity - equity;
+    const status = { peakEquity: this.peakEquity, drawdown };
+
+    if (this.orderManager.isHalted()) {
+      // Keep retrying a flatten that failed, e.g. during a broker outage
+      if (this.orderManager.halt.flattened === false) {
+        this.halt(this.orderManager.halt.reason);
+      }
+      return status;
+    }
+
+    const breach = this.findBreach(pnl, lastEquity, drawdown, exposure);
+    if (breach) {
+      const message = `Circuit breaker tripped: ${breach}`;
+      logger.error(message);
+      this.dashboard.logError(message);
+      this.halt(breach);
+    }
+
+    return status;
+  }
+
+  /**
+   * Halts trading and flattens through OrderManager, one attempt at a time.
+   * A failed flatten is reported, since positions may still be open.
+   */
+  halt(reason) {
+    if (this.isHalting) {
+      return;
+    }
+
+    this.isHalting = true;
+    this.orderManager
+      .haltTrading(reason)
+      .catch((err) => {
+        const errorMessage = `Circuit breaker flatten failed: ${err.message}. Trading stays halted, but positions may still be open. Retrying.`;
+        logger.error(errorMessage);
+        this.dashboard.logError(errorMessage);
+        this.orderManager.notify('flatten_failed', errorMessage, {
+          reason,
+          error: err.message,
+        });
+      })
+      .finally(() => {
+        this.isHalting = false;
+      });
+  }
+
+  /**
+   * Returns a description of the first limit breached, or null if none are.
+   */
+  findBreach(pnl, lastEquity, drawdown, exposure) {
+    const limits = config.riskLimits;
+
+    if (limits.maxDailyLoss !== null && -pnl >= limits.maxDailyLoss) {
+      return `Daily loss $${(-pnl).toFixed(2)} >= $${limits.maxDailyLoss}`;
+    }
+
+    const pnlPercent = (pnl / lastEquity) * 100;
+    if (
+      limits.maxDailyLossPercent !== null &&
+      -pnlPercent >= limits.maxDailyLossPercent
+    ) {
+      return `Daily loss ${(-pnlPercent).toFixed(2)}% >= ${
+        limits.maxDailyLossPercent
+      }%`;
+    }
+
+    if (
+      limits.maxGivebackFromPeak !== null &&
+      drawdown >= limits.maxGivebackFromPeak
+    ) {
+      return `Giveback from intraday peak $${drawdown.toFixed(2)} >= $${
+        limits.maxGivebackFromPeak
+      }`;
+    }
+
+    if (limits.maxOpenExposure !== null && exposure > limits.maxOpenExposure) {
+      return `Open exposure $${exposure.toFixed(2)} > $${
+        limits.maxOpenExposure
+      }`;
+    }
+
+    return null;
+  }
+}
+
+module.exports = RiskManager;
@@ -0,0 +1,283 @@
+// scheduler.js
+
+const cron = require('node-cron');
+const config = require('./config');
+const logger = require('./logger');
+const { REGULAR_CLOSE, getExchangeTime } = require('./marketHours');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CALENDAR_DAYS_AHEAD = 10; // Days of market calendar kept for the next action
+const CALENDAR_RETRY_MS = 5 * 60 * 1000; // Wait after a failed calendar fetch
+
+// Actions a schedule rule can run, keyed by the rule's `action`
+const ACTIONS = {
+  tightenToBreakeven: {
+    label: 'Tighten stops to breakeven',
+    run: (orderManager) => orderManager.tightenAllStops(0, 'scheduled'),
+  },
+  cancelPyramidOrders: {
+    label: 'Cancel pyramid orders',
+    run: (orderManager) => orderManager.cancelAllPyramidOrders(),
+  },
+  flattenAll: {
+    label: 'Flatten all positions',
+    run: (orderManager) => orderManager.flattenAll('scheduled'),
+  },
+};
+
+/**
+ * Converts 'HH:MM' to minutes since midnight.
+ */
+function parseTime(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Converts minutes since midnight to 'HH:MM'.
+ */
+function formatTime(minutes) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+/**
+ * Returns the 'YYYY-MM-DD' date the given number of days after another.
+ */
+function addDays(dateStr, days) {
+  return new Date(Date.parse(`${dateStr}T12:00:00Z`) + days * DAY_MS)
+    .toISOString()
+    .slice(0, 10);
+}
+
+/**
+ * Returns a 'YYYY-MM-DD' date's weekday, e.g. 'Mon'.
+ */
+function getWeekday(dateStr) {
+  return new Date(`${dateStr}T12:00:00Z`).toLocaleDateString('en-US', {
+    weekday: 'short',
+    timeZone: 'UTC',
+  });
+}
+
+/**
+ * Returns when a rule runs, in minutes since midnight, on a day whose session
+ * closes at `close`. On early-close days, rules at or after the close move
+ * earlier by as long as the session was cut short, so a 15:55 flatten runs
+ * at 12:55 on a 13:00 half day.
+ */
+function getRuleMinutes(rule, close) {
+  const minutes = parseTime(rule.time);
+  const cutShort = REGULAR_CLOSE - close;
+  return cutShort > 0 && minutes >= close ? minutes - cutShort : minutes;
+}
+
+class Scheduler {
+  constructor(dashboard, orderManager, broker) {
+    this.dashboard = dashboard;
+    this.orderManager = orderManager;
+    this.broker = broker; // Broker adapter (see broker.js)
+    this.rules = [];
+    this.task = null;
+    this.nextActionTimer = null;
+    this.tradingDays = {}; // 'YYYY-MM-DD' => session close in minutes, or null when closed
+    this.calendarRetryAt = 0;
+  }
+
+  /**
+   * Checks every minute, in the exchange time zone, for configured rules due
+   * to run.
+   */
+  start() {
+    const { enabled, rules } = config.schedule;
+    if (!enabled) {
+      return;
+    }
+
+    this.rules = rules.filter((rule) => {
+      if (!ACTIONS[rule.action]) {
+        const errorMessage = `Unknown scheduled action "${rule.action}" at ${rule.time}. Skipping it.`;
+        logger.error(errorMessage);
+        this.dashboard.logError(errorMessage);
+        return false;
+      }
+      return true;
+    });
+
+    this.task = cron.schedule('* * * * 1-5', () => this.runDueRules(), {
+      timezone: config.timeZone,
+    });
+
+    const message = `Scheduled ${this.rules.length} session rule(s).`;
+    logger.info(message);
+    this.dashboard.logInfo(message);
+
+    // Keep the dashboard's next action current as the day rolls over
+    this.updateNextAction();
+    this.nextActionTimer = setInterval(() => this.updateNextAction(), 60000);
+  }
+
+  /**
+   * Stops all scheduled rules.
+   */
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+    clearInterval(this.nextActionTimer);
+  }
+
+  /**
+   * Runs the rules due this minute. On market holidays they are skipped, and
+   * on early-close days they run at their moved times (see getRuleMinutes).
+   */
+  async runDueRules() {
+    const { dateStr, minutes } = getExchangeTime();
+    const close = await this.getSessionClose(dateStr);
+
+    for (const rule of this.rules) {
+      if (close === null) {
+        if (parseTime(rule.time) === minutes) {
+          const label = rule.label || ACTIONS[rule.action].label;
+          const message = `Skipped scheduled rule ${rule.time} ${label}: market closed on ${dateStr}.`;
+          logger.info(message);
+          this.dashboard.logInfo(message);
+        }
+      } else if (getRuleMinutes(rule, close) === minutes) {
+        await this.runRule(rule, close);
+      }
+    }
+  }
+
+  /**
+   * Runs one rule's action on a day whose session closes at `close`.
+   */
+  async runRule(rule, close) {
+    const label = rule.label || ACTIONS[rule.action].label;
+    const runAt = getRuleMinutes(rule, close);
+    const time =
+      runAt === parseTime(rule.time)
+        ? rule.time
+        : `${rule.time} (moved to ${formatTime(runAt)} for the ${formatTime(
+            close
+          )} close)`;
+    try {
+      const message = `Running scheduled rule ${time}: ${label}.`;
+      logger.info(message);
+      this.dashboard.logWarning(message);
+
+      await ACTIONS[rule.action].run(this.orderManager);
+
+      const doneMessage = `Scheduled rule ${rule.time} ${label} finished.`;
+      logger.info(doneMessage);
+      this.dashboard.logInfo(doneMessage);
+    } catch (err) {
+      const errorMessage = `Error running scheduled rule ${rule.time} ${label}: ${err.message}`;
+      logger.error(errorMessage);
+      this.dashboard.logError(errorMessage);
+    } finally {
+      this.updateNextAction();
+    }
+  }
+
+  /**
+   * Fills tradingDays from the broker's market calendar for any day between
+   * two dates not already known. If the calendar can't be fetched, it isn't
+   * asked for again until CALENDAR_RETRY_MS has passed.
+   */
+  async loadCalendar(start, end) {
+    let missing = false;
+    for (let date = start; date <= end; date = addDays(date, 1)) {
+      missing = missing || this.tradingDays[date] === undefined;
+    }
+    if (!missing || Date.now() < this.calendarRetryAt) {
+      return;
+    }
+
+    try {
+      const calendar = await this.broker.getCalendar(start, end);
+      for (let date = start; date <= end; date = addDays(date, 1)) {
+        this.tradingDays[date] = null;
+      }
+      calendar.forEach((day) => {
+        this.tradingDays[day.date] = parseTime(day.close);
+      });
+    } catch (err) {
+      this.calendarRetryAt = Date.now() + CALENDAR_RETRY_MS;
+      const warnMessage = `Error fetching market calendar for ${start} to ${end}: ${err.message}. Assuming regular sessions on weekdays.`;
+      logger.warn(warnMessage);
+      this.dashboard.logWarning(warnMessage);
+    }
+  }
+
+  /**
+   * Returns the given date's session close in minutes since midnight, or null
+   * when the market is closed. Without a calendar, weekdays are treated as
+   * regular sessions so rules still run.
+   */
+  async getSessionClose(dateStr) {
+    await this.loadCalendar(dateStr, dateStr);
+    if (this.tradingDays[dateStr] !== undefined) {
+      return this.tradingDays[dateStr];
+    }
+    return ['Sat', 'Sun'].includes(getWeekday(dateStr)) ? null : REGULAR_CLOSE;
+  }
+
+  /**
+   * Finds the next rule to run from now, skipping market holidays and moving
+   * rules on early-close days.
+   * @returns {Promise<Object|null>} - { rule, label, day, time } where day is
+   *   'Today', 'Tomorrow' or a weekday such as 'Mon', and time is 'HH:MM'.
+   */
+  async getNextAction() {
+    if (!config.schedule.enabled || this.rules.length === 0) {
+      return null;
+    }
+
+    const now = getExchangeTime();
+    await this.loadCalendar(
+      now.dateStr,
+      addDays(now.dateStr, CALENDAR_DAYS_AHEAD)
+    );
+
+    for (let offset = 0; offset <= CALENDAR_DAYS_AHEAD; offset++) {
+      const dateStr = addDays(now.dateStr, offset);
+      const close = await this.getSessionClose(dateStr);
+      if (close === null) {
+        continue;
+      }
+
+      const next = this.rules
+        .map((rule) => ({ rule, minutes: getRuleMinutes(rule, close) }))
+        .filter((r) => offset > 0 || r.minutes > now.minutes)
+        .sort((a, b) => a.minutes - b.minutes)[0];
+      if (next) {
+        return {
+          rule: next.rule,
+          label: next.rule.label || ACTIONS[next.rule.action].label,
+          day:
+            offset === 0
+              ? 'Today'
+              : offset === 1
+              ? 'Tomorrow'
+              : getWeekday(dateStr),
+          time: formatTime(next.minutes),
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Shows the next scheduled action on the dashboard.
+   */
+  async updateNextAction() {
+    const next = await this.getNextAction();
+    this.dashboard.setNextScheduledAction(
+      next ? `${next.day} ${next.time} ${next.label}` : null
+    );
+  }
+}
+
+module.exports = Scheduler;
@@ -0,0 +1,139 @@
+// simClock.js
+
+// Real timers, kept for draining promises between simulated steps
+const realSetImmediate = global.setImmediate;
+
+class SimulatedClock {
+  constructor(startTime) {
+    this.time = startTime; // Simulated now, in ms
+    this.timers = []; // { id, time, callback, args, interval, seq }, soonest first
+    this.nextId = 1;
+    this.seq = 0; // Keeps timers due at the same time in the order they were set
+    this.originals = null; // Globals replaced by install()
+  }
+
+  now() {
+    return this.time;
+  }
+
+  /**
+   * Replaces Date, setTimeout and setInterval so every module in the process
+   * runs on simulated time. Timers only fire from advanceTo().
+   */
+  install() {
+    if (this.originals) {
+      return;
+    }
+
+    const clock = this;
+    const RealDate = global.Date;
+    class SimDate extends RealDate {
+      constructor(...args) {
+        if (args.length === 0) {
+          super(clock.time);
+        } else {
+          super(...args);
+        }
+      }
+
+      static now() {
+        return clock.time;
+      }
+    }
+
+    this.originals = {
+      Date: global.Date,
+      setTimeout: global.setTimeout,
+      setInterval: global.setInterval,
+      clearTimeout: global.clearTimeout,
+      clearInterval: global.clearInterval,
+    };
+    global.Date = SimDate;
+    global.setTimeout = (callback, delay, ...args) =>
+      this.addTimer(callback, delay, args, false);
+    global.setInterval = (callback, delay, ...args) =>
+      this.addTimer(callback, delay, args, true);
+    global.clearTimeout = (timer) => this.removeTimer(timer);
+    global.clearInterval = (timer) => this.removeTimer(timer);
+  }
+
+  /**
+   * Restores the real Date and timers. Pending simulated timers are dropped.
+   */
+  uninstall() {
+    if (!this.originals) {
+      return;
+    }
+
+    Object.assign(global, this.originals);
+    this.originals = null;
+    this.timers = [];
+  }
+
+  addTimer(callback, delay, args, interval) {
+    const timer = {
+      id: this.nextId++,
+      time: this.time + Math.max(0, delay || 0),
+      delay: Math.max(1, delay || 0), // Intervals always move time forward
+      callback,
+      args,
+      interval,
+      // Timer handles in Node also have these; some libraries call them
+      ref() {
+        return this;
+      },
+      unref() {
+        return this;
+      },
+      hasRef() {
+        return false;
+      },
+    };
+    this.schedule(timer);
+    return timer;
+  }
+
+  removeTimer(timer) {
+    if (timer) {
+      this.timers = this.timers.filter((t) => t !== timer);
+    }
+  }
+
+  schedule(timer) {
+    timer.seq = this.seq++;
+    const index = this.timers.findIndex(
+      (t) => t.time > timer.time || (t.time === timer.time && t.seq > timer.seq)
+    );
+    this.timers.splice(index === -1 ? this.timers.length : index, 0, timer);
+  }
+
+  /**
+   * Lets pending promise callbacks run. Nothing under simulation waits on real
+   * I/O, so one turn of the real event loop drains them.
+   */
+  settle() {
+    return new Promise((resolve) => realSetImmediate(resolve));
+  }
+
+  /**
+   * Moves simulated time forward, firing every timer due on the way in order
+   * and settling after each one.
+   * @param {number} time - The simulated time to stop at, in ms.
+   */
+  async advanceTo(time) {
+    await this.settle();
+    while (this.timers.length > 0 && this.timers[0].time <= time) {
+      const timer = this.timers.shift();
+      this.time = Math.max(this.time, timer.time);
+      if (timer.interval) {
+        timer.time = this.time + timer.delay;
+        this.schedule(timer);
+      }
+      timer.callback(...timer.args);
+      await this.settle();
+    }
+    this.time = Math.max(this.time, time);
+  }
+}
+
+module.exports = SimulatedClock;
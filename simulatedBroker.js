@@ -0,0 +1,395 @@
+// simulatedBroker.js
+
+const config = require('./config');
+const Broker = require('./broker');
+const logger = require('./logger');
+const { getExchangeTime, isWeekday } = require('./marketHours');
+
+// Order statuses that can still fill
+const WORKING_ORDER_STATUSES = ['new', 'accepted', 'partially_filled'];
+
+/**
+ * Creates an error carrying statusCode, as the broker contract requires.
+ */
+function brokerError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+/**
+ * Returns a copy of an order without the fill bookkeeping kept on it.
+ */
+function toOrder(order) {
+  const { liveAt, stopTriggered, ...copy } = order;
+  return copy;
+}
+
+/**
+ * An in-memory broker. Orders fill against the quotes passed to onQuote(),
+ * live from Polygon or replayed, and order updates are emitted like a
+ * streaming broker's.
+ */
+class SimulatedBroker extends Broker {
+  constructor(settings = config.simulatedBroker) {
+    super();
+    this.settings = settings;
+    this.quotes = {}; // symbol => { bid, ask }
+    this.positions = {}; // symbol => { qty (negative when short), avgEntryPrice }
+    this.orders = {}; // orderId => order, plus liveAt and stopTriggered
+    this.nextOrderId = 1;
+    this.cash = settings.startingCash;
+    this.lastEquity = settings.startingCash; // Equity at the end of the previous session
+    this.sessionDate = getExchangeTime().dateStr;
+
+    settings.startingPositions.forEach((pos) => {
+      this.openPosition(
+        pos.symbol,
+        pos.qty > 0 ? 'buy' : 'sell',
+        Math.abs(pos.qty),
+        pos.avgEntryPrice
+      );
+    });
+  }
+
+  // Always connected; onReconnect is never called
+  get isStreaming() {
+    return true;
+  }
+
+  connect() {
+    logger.info(
+      `Simulated broker started with $${this.cash.toFixed(2)} cash and ${
+        Object.keys(this.positions).length
+      } position(s).`
+    );
+  }
+
+  /**
+   * Emits an order update after updateLatencyMs, by which time the caller has
+   * tracked the order it just submitted.
+   */
+  emitUpdate(event, order) {
+    if (this.onOrderUpdate) {
+      const update = toOrder(order);
+      setTimeout(
+        () => this.onOrderUpdate(event, update),
+        this.settings.updateLatencyMs
+      );
+    }
+  }
+
+  /**
+   * Opens or adds to a position directly, without an order. Used for starting
+   * positions and for the entries a replay tests exits against.
+   */
+  openPosition(symbol, side, qty, price) {
+    this.applyFill(symbol, side, qty, price);
+  }
+
+  /**
+   * Records the latest quote and fills any live orders it reaches.
+   */
+  onQuote(symbol, bid, ask) {
+    this.quotes[symbol] = { bid, ask };
+    Object.values(this.orders)
+      .filter(
+        (order) =>
+          order.symbol === symbol &&
+          WORKING_ORDER_STATUSES.includes(order.status) &&
+          Date.now() >= order.liveAt
+      )
+      .forEach((order) => this.tryFill(order));
+  }
+
+  /**
+   * Returns the price an order fills at against the current quote, slippage
+   * included, or null if it can't fill yet. Stop orders become market or
+   * limit orders once the quote trades through the stop. Limit orders never
+   * fill past their limit.
+   */
+  getFillPrice(order) {
+    const quote = this.quotes[order.symbol];
+    if (!quote) {
+      return null;
+    }
+
+    const isBuy = order.side === 'buy';
+    if (order.type === 'stop' || order.type === 'stop_limit') {
+      const { stopPrice } = order;
+      if (
+        !order.stopTriggered &&
+        !(isBuy ? quote.ask >= stopPrice : quote.bid <= stopPrice)
+      ) {
+        return null;
+      }
+      order.stopTriggered = true;
+    }
+
+    const marketPrice = isBuy ? quote.ask : quote.bid;
+    const slippage = (this.settings.slippageCents / 100) * (isBuy ? 1 : -1);
+    if (order.type === 'market' || order.type === 'stop') {
+      return marketPrice + slippage;
+    }
+
+    const { limitPrice } = order;
+    if (isBuy && marketPrice <= limitPrice) {
+      return Math.min(limitPrice, marketPrice + slippage);
+    }
+    if (!isBuy && marketPrice >= limitPrice) {
+      return Math.max(limitPrice, marketPrice + slippage);
+    }
+    return null;
+  }
+
+  /**
+   * Fills as much of a live order as the current quote allows. With
+   * maxFillQty set, each quote fills at most that many shares.
+   * IOC orders cancel whatever doesn't fill right away.
+   */
+  tryFill(order) {
+    const price = this.getFillPrice(order);
+    const remainingQty = order.qty - order.filledQty;
+    if (price !== null) {
+      const { maxFillQty } = this.settings;
+      const qty = maxFillQty
+        ? Math.min(maxFillQty, remainingQty)
+        : remainingQty;
+      const filledQty = order.filledQty + qty;
+      const prevCost = order.filledQty * (order.filledAvgPrice || 0);
+
+      this.applyFill(order.symbol, order.side, qty, price);
+      order.filledQty = filledQty;
+      order.filledAvgPrice = (prevCost + qty * price) / filledQty;
+      if (filledQty >= order.qty) {
+        order.status = 'filled';
+        this.emitUpdate('fill', order);
+        return;
+      }
+      order.status = 'partially_filled';
+      this.emitUpdate('partial_fill', order);
+    }
+
+    if (order.timeInForce === 'ioc') {
+      order.status = 'canceled';
+      this.emitUpdate('canceled', order);
+    }
+  }
+
+  /**
+   * Moves a position and cash by a fill. Adds average in; reductions keep the
+   * average, and a fill through zero opens the other side at the fill price.
+   */
+  applyFill(symbol, side, qty, price) {
+    const pos = this.positions[symbol] || { qty: 0, avgEntryPrice: 0 };
+    const signedQty = side === 'buy' ? qty : -qty;
+    const newQty = pos.qty + signedQty;
+
+    if (pos.qty === 0 || Math.sign(newQty) !== Math.sign(pos.qty)) {
+      pos.avgEntryPrice = price;
+    } else if (Math.abs(newQty) > Math.abs(pos.qty)) {
+      pos.avgEntryPrice =
+        (pos.avgEntryPrice * pos.qty + price * signedQty) / newQty;
+    }
+    pos.qty = newQty;
+    this.cash -= signedQty * price;
+
+    if (pos.qty === 0) {
+      delete this.positions[symbol];
+    } else {
+      this.positions[symbol] = pos;
+    }
+  }
+
+  /**
+   * Marks a position at the quote midpoint, or its average price before the
+   * first quote.
+   */
+  getMarkPrice(symbol) {
+    const quote = this.quotes[symbol];
+    return quote
+      ? (quote.bid + quote.ask) / 2
+      : this.positions[symbol].avgEntryPrice;
+  }
+
+  async getAccount() {
+    const equity = Object.keys(this.positions).reduce(
+      (sum, symbol) =>
+        sum + this.positions[symbol].qty * this.getMarkPrice(symbol),
+      this.cash
+    );
+
+    // The first look in a new session closes out the previous one
+    const { dateStr } = getExchangeTime();
+    if (dateStr !== this.sessionDate) {
+      this.sessionDate = dateStr;
+      this.lastEquity = equity;
+    }
+
+    return {
+      equity,
+      lastEquity: this.lastEquity,
+      cash: this.cash,
+      buyingPower: this.cash,
+    };
+  }
+
+  async getPositions() {
+    return Object.keys(this.positions).map((symbol) => {
+      const pos = this.positions[symbol];
+      const currentPrice = this.getMarkPrice(symbol);
+      return {
+        symbol,
+        side: pos.qty > 0 ? 'long' : 'short',
+        qty: Math.abs(pos.qty),
+        avgEntryPrice: pos.avgEntryPrice,
+        currentPrice,
+        marketValue: currentPrice * pos.qty,
+        unrealizedPl: (currentPrice - pos.avgEntryPrice) * pos.qty,
+      };
+    });
+  }
+
+  async getOrders({
+    status = 'open',
+    symbols = null,
+    after = null,
+    direction = 'desc',
+    limit = 50,
+  } = {}) {
+    const orders = Object.values(this.orders)
+      .filter((order) => {
+        const isWorking = WORKING_ORDER_STATUSES.includes(order.status);
+        if (
+          (status === 'open' && !isWorking) ||
+          (status === 'closed' && isWorking)
+        ) {
+          return false;
+        }
+        return (
+          (!symbols || symbols.includes(order.symbol)) &&
+          order.createdAt > (after || 0)
+        );
+      })
+      .map(toOrder);
+
+    // Orders are stored oldest first
+    if (direction === 'desc') {
+      orders.reverse();
+    }
+    return orders.slice(0, limit);
+  }
+
+  async getOrder(orderId) {
+    const order = this.orders[orderId];
+    if (!order) {
+      throw brokerError(404, `Order ${orderId} not found`);
+    }
+    return toOrder(order);
+  }
+
+  /**
+   * Accepts an order, which goes live after orderLatencyMs.
+   */
+  async submitOrder(params) {
+    if (!(params.qty > 0)) {
+      throw brokerError(422, `Invalid qty ${params.qty}`);
+    }
+    if (
+      (params.type === 'limit' || params.type === 'stop_limit') &&
+      !(params.limitPrice > 0)
+    ) {
+      throw brokerError(422, 'limitPrice is required');
+    }
+    if (
+      (params.type === 'stop' || params.type === 'stop_limit') &&
+      !(params.stopPrice > 0)
+    ) {
+      throw brokerError(422, 'stopPrice is required');
+    }
+
+    const order = {
+      id: `sim-${this.nextOrderId++}`,
+      clientOrderId: params.clientOrderId || null,
+      symbol: params.symbol,
+      side: params.side,
+      type: params.type,
+      timeInForce: params.timeInForce,
+      qty: params.qty,
+      filledQty: 0,
+      filledAvgPrice: null,
+      limitPrice: params.limitPrice || null,
+      stopPrice: params.stopPrice || null,
+      trailPrice: null,
+      status: 'new',
+      extendedHours: params.extendedHours || false,
+      createdAt: Date.now(),
+      liveAt: Date.now() + this.settings.orderLatencyMs,
+    };
+    this.orders[order.id] = order;
+    this.emitUpdate('new', order);
+
+    // Check the order against the quote it arrives at
+    if (this.settings.orderLatencyMs > 0) {
+      setTimeout(() => {
+        if (WORKING_ORDER_STATUSES.includes(order.status)) {
+          this.tryFill(order);
+        }
+      }, this.settings.orderLatencyMs);
+    } else {
+      this.tryFill(order);
+    }
+    return toOrder(order);
+  }
+
+  /**
+   * Replaces a working order with a new one for its unfilled remainder.
+   */
+  async replaceOrder(orderId, changes) {
+    const order = this.orders[orderId];
+    if (!order || !WORKING_ORDER_STATUSES.includes(order.status)) {
+      throw brokerError(422, `Order ${orderId} is not open`);
+    }
+
+    order.status = 'replaced';
+    this.emitUpdate('replaced', order);
+    return this.submitOrder({
+      ...toOrder(order),
+      qty: order.qty - order.filledQty,
+      ...changes,
+    });
+  }
+
+  async cancelOrder(orderId) {
+    const order = this.orders[orderId];
+    if (!order || !WORKING_ORDER_STATUSES.includes(order.status)) {
+      throw brokerError(422, `Order ${orderId} is not open`);
+    }
+    order.status = 'canceled';
+    this.emitUpdate('canceled', order);
+  }
+
+  /**
+   * Treats every weekday as a trading day; holidays aren't simulated.
+   */
+  async getCalendar(start, end) {
+    const days = [];
+    for (
+      let time = Date.parse(`${start}T12:00:00Z`);
+      time <= Date.parse(`${end}T12:00:00Z`);
+      time += 24 * 60 * 60 * 1000
+    ) {
+      const date = new Date(time);
+      if (isWeekday(date)) {
+        days.push({
+          date: date.toISOString().slice(0, 10),
+          open: '09:30',
+          close: '16:00',
+        });
+      }
+    }
+    return days;
+  }
+}
+
+module.exports = SimulatedBroker;
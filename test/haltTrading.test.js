@@ -0,0 +1,97 @@
+// test/haltTrading.test.js
+
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { test } = require('node:test');
+const config = require('../config');
+const logger = require('../logger');
+const OrderManager = require('../orderManager');
+const Reporter = require('../reporter');
+const RiskManager = require('../riskManager');
+const SimulatedBroker = require('../simulatedBroker');
+const SimulatedClock = require('../simClock');
+
+// A Wednesday at 10:00 in New York
+const START_TIME = Date.parse('2026-10-14T14:00:00Z');
+
+test('a circuit breaker flatten that fails to submit is retried once the broker recovers', async () => {
+  const stateFile = path.join(os.tmpdir(), `halt-test-${process.pid}.json`);
+  const savedConfig = {
+    persistence: config.persistence,
+    riskLimits: config.riskLimits,
+    entry: config.entry,
+  };
+  const savedSilent = logger.silent;
+  config.persistence = {
+    ...config.persistence,
+    stateFile,
+    simulatedStateFile: stateFile,
+  };
+  config.riskLimits = { ...config.riskLimits, maxDailyLoss: 500 };
+  config.entry = { ...config.entry, enabled: false };
+  logger.silent = true;
+
+  const clock = new SimulatedClock(START_TIME);
+  clock.install();
+  const settle = (ms) => clock.advanceTo(clock.now() + ms);
+  try {
+    const broker = new SimulatedBroker({
+      ...config.simulatedBroker,
+      startingPositions: [{ symbol: 'ABC', qty: 100, avgEntryPrice: 10 }],
+    });
+    broker.onQuote('ABC', 10, 10.01);
+    const polygon = {
+      subscribe: () => [],
+      unsubscribe() {},
+      getChannels: () => [],
+    };
+    const orderManager = new OrderManager(new Reporter(), polygon, broker);
+    broker.onOrderUpdate = (event, order) =>
+      orderManager.onOrderUpdate(event, order);
+    const notifications = [];
+    orderManager.notifier = { notify: (event) => notifications.push(event) };
+    const riskManager = new RiskManager(new Reporter(), orderManager);
+    await settle(5000);
+    assert.ok(orderManager.positions.ABC, 'position is tracked');
+
+    // The broker is down when the breaker trips
+    const submitOrder = broker.submitOrder;
+    broker.submitOrder = async () => {
+      throw Object.assign(new Error('Service unavailable'), {
+        statusCode: 503,
+      });
+    };
+    const account = { equity: 99000, lastEquity: 100000, exposure: 0 };
+    riskManager.evaluate(account);
+    await settle(5000);
+
+    assert.strictEqual(orderManager.halt.flattened, false);
+    assert.strictEqual(orderManager.positions.ABC.stopTriggered, false);
+    assert.deepStrictEqual(notifications, [
+      'circuit_breaker',
+      'flatten_failed',
+    ]);
+
+    // Once it recovers, the next evaluation retries and closes the position
+    broker.submitOrder = submitOrder;
+    riskManager.evaluate(account);
+    await settle(1000);
+    broker.onQuote('ABC', 10, 10.01);
+    await settle(5000);
+
+    assert.strictEqual(orderManager.halt.flattened, true);
+    assert.strictEqual(broker.positions.ABC, undefined);
+    assert.strictEqual(orderManager.positions.ABC, undefined);
+  } finally {
+    clock.uninstall();
+    Object.assign(config, savedConfig);
+    logger.silent = savedSilent;
+    [stateFile, `${stateFile}.tmp`].forEach((file) => {
+      if (fs.existsSync(file)) {
+        fs.unlinkSync(file);
+      }
+    });
+  }
+});
@@ -0,0 +1,113 @@
+// tradeUpdates.js
+
+const WebSocket = require('ws');
+const config = require('./config');
+const logger = require('./logger');
+
+class TradeUpdatesClient {
+  constructor() {
+    this.keyId = config.alpaca.keyId;
+    this.secretKey = config.alpaca.secretKey;
+    this.url = config.alpaca.paper
+      ? 'wss://paper-api.alpaca.markets/stream'
+      : 'wss://api.alpaca.markets/stream';
+    this.ws = null;
+    this.isAuthorized = false;
+    this.reconnectAttempts = 0;
+    this.disconnectedAt = null; // When the stream last dropped, for reconciliation
+    this.onTradeUpdate = null; // (event, order) => {}, set by the consumer
+    this.onReconnect = null; // (disconnectedAt) => {}, set by the consumer
+  }
+
+  connect() {
+    this.ws = new WebSocket(this.url);
+
+    this.ws.on('open', () => {
+      logger.info('Alpaca trade updates connection opened.');
+      this.ws.send(
+        JSON.stringify({
+          action: 'auth',
+          key: this.keyId,
+          secret: this.secretKey,
+        })
+      );
+    });
+
+    this.ws.on('message', (data) => {
+      let msg;
+      try {
+        msg = JSON.parse(data);
+      } catch (err) {
+        logger.error(`Error parsing Alpaca trade update: ${err.message}`);
+        return;
+      }
+
+      if (msg.stream === 'authorization') {
+        if (msg.data.status === 'authorized') {
+          logger.info('Alpaca trade updates authenticated.');
+          this.ws.send(
+            JSON.stringify({
+              action: 'listen',
+              data: { streams: ['trade_updates'] },
+            })
+          );
+        } else {
+          logger.error('Alpaca trade updates authentication failed.');
+          this.ws.close();
+        }
+      } else if (msg.stream === 'listening') {
+        logger.info('Listening to Alpaca trade updates.');
+        this.isAuthorized = true;
+        this.reconnectAttempts = 0;
+
+        // Catch up on anything that happened while we weren't listening
+        if (this.onReconnect) {
+          Promise.resolve(this.onReconnect(this.disconnectedAt)).catch((err) =>
+            logger.error(
+              `Error catching up after trade updates reconnect: ${err.message}`
+            )
+          );
+        }
+        this.disconnectedAt = null;
+      } else if (msg.stream === 'trade_updates' && this.onTradeUpdate) {
+        this.onTradeUpdate(msg.data.event, msg.data.order);
+      }
+    });
+
+    this.ws.on('error', (err) => {
+      logger.error(`Alpaca trade updates error: ${err.message}`);
+    });
+
+    this.ws.on('close', (code, reason) => {
+      logger.warn(
+        `Alpaca trade updates closed. Code: ${code}, Reason: ${reason}`
+      );
+      // Keep the start of the gap across failed reconnect attempts
+      if (this.isAuthorized) {
+        this.disconnectedAt = new Date();
+      }
+      this.isAuthorized = false;
+      this.scheduleReconnect();
+    });
+  }
+
+  /**
+   * Reconnects with exponential backoff and jitter, capped at reconnectMaxMs.
+   */
+  scheduleReconnect() {
+    const { reconnectInitialMs, reconnectMaxMs } = config.tradeUpdates;
+    const backoff = Math.min(
+      reconnectMaxMs,
+      reconnectInitialMs * 2 ** this.reconnectAttempts
+    );
+    const delay = backoff + Math.random() * reconnectInitialMs;
+    this.reconnectAttempts += 1;
+
+    logger.info(
+      `Reconnecting to Alpaca trade updates in ${delay.toFixed(0)}ms...`
+    );
+    setTimeout(() => this.connect(), delay);
+  }
+}
+
+module.exports = TradeUpdatesClient;